@@ -1,10 +1,24 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, dialog, ipcMain, powerMonitor } = require('electron');
 const path = require('path');
 const fs = require('fs/promises');
 
 let mainWindow;
+let idleTimer = null;
+let historyWrite = Promise.resolve();
+
+const IDLE_THRESHOLD_SECONDS = 60;
+const IDLE_POLL_MS = 5000;
+
+const exportFilters = {
+  txt: { name: 'Puzzle text', extensions: ['txt'] },
+  json: { name: 'Game file', extensions: ['json'] },
+  replay: { name: 'Replay', extensions: ['json'] },
+  pdf: { name: 'PDF', extensions: ['pdf'] }
+};
 
 const prefPath = () => path.join(app.getPath('userData'), 'preferences.json');
+const gamesDir = () => path.join(app.getPath('userData'), 'games');
+const historyPath = () => path.join(app.getPath('userData'), 'history.json');
 const defaultPrefs = {
   theme: 'light',
   lastDifficulty: 'medium',
@@ -12,6 +26,7 @@ const defaultPrefs = {
     solved: 0,
     totalTime: 0
   },
+  daily: {},
   gameState: null
 };
 
@@ -32,6 +47,53 @@ async function savePreferences(prefs) {
   }
 }
 
+// Slot ids become file names, so only accept the ids the renderer generates.
+function savedGamePath(slotId) {
+  if (!/^[a-z0-9-]+$/i.test(String(slotId))) {
+    throw new Error(`Invalid saved game id: ${slotId}`);
+  }
+  return path.join(gamesDir(), `${slotId}.json`);
+}
+
+async function listSavedGames() {
+  let files = [];
+  try {
+    files = await fs.readdir(gamesDir());
+  } catch {
+    return [];
+  }
+  const summaries = [];
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const entry = JSON.parse(await fs.readFile(path.join(gamesDir(), file), 'utf-8'));
+      if (entry?.summary) summaries.push(entry.summary);
+    } catch (err) {
+      console.error('Skipping unreadable saved game', file, err);
+    }
+  }
+  return summaries.sort((a, b) => String(b.lastPlayed).localeCompare(String(a.lastPlayed)));
+}
+
+async function loadHistory() {
+  try {
+    const records = JSON.parse(await fs.readFile(historyPath(), 'utf-8'));
+    return Array.isArray(records) ? records : [];
+  } catch {
+    return [];
+  }
+}
+
+async function renderPdf(html) {
+  const printWindow = new BrowserWindow({ show: false, webPreferences: { javascript: false } });
+  try {
+    await printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+    return await printWindow.webContents.printToPDF({ pageSize: 'A4', printBackground: true });
+  } finally {
+    printWindow.destroy();
+  }
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -56,8 +118,24 @@ function createWindow() {
   });
 }
 
+// Tells the renderer when the user steps away so it can pause the game.
+function watchSystemIdle() {
+  const notify = (reason) => {
+    if (mainWindow) mainWindow.webContents.send('power:idle', reason);
+  };
+  let lastState = 'active';
+  idleTimer = setInterval(() => {
+    const state = powerMonitor.getSystemIdleState(IDLE_THRESHOLD_SECONDS);
+    if (state !== 'active' && lastState === 'active') notify(state);
+    lastState = state;
+  }, IDLE_POLL_MS);
+  powerMonitor.on('suspend', () => notify('suspend'));
+  powerMonitor.on('lock-screen', () => notify('locked'));
+}
+
 app.whenReady().then(() => {
   createWindow();
+  watchSystemIdle();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -68,6 +146,7 @@ app.whenReady().then(() => {
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
+    clearInterval(idleTimer);
     app.quit();
   }
 });
@@ -89,3 +168,57 @@ ipcMain.handle('prefs:stats', async (_event, statsUpdate) => {
   await savePreferences(merged);
   return stats;
 });
+
+ipcMain.handle('game:export', async (_event, { format, fileName, content }) => {
+  const filter = exportFilters[format];
+  if (!filter) throw new Error(`Unknown export format: ${format}`);
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: path.join(app.getPath('documents'), `${fileName}.${filter.extensions[0]}`),
+    filters: [filter]
+  });
+  if (canceled || !filePath) return { saved: false };
+  // PDFs arrive as printable HTML and are rendered here.
+  const data = format === 'pdf' ? await renderPdf(content) : content;
+  await fs.writeFile(filePath, data);
+  return { saved: true, filePath };
+});
+
+ipcMain.handle('games:list', async () => {
+  return listSavedGames();
+});
+
+ipcMain.handle('games:get', async (_event, slotId) => {
+  try {
+    return JSON.parse(await fs.readFile(savedGamePath(slotId), 'utf-8'));
+  } catch {
+    return null;
+  }
+});
+
+ipcMain.handle('games:save', async (_event, entry) => {
+  await fs.mkdir(gamesDir(), { recursive: true });
+  await fs.writeFile(savedGamePath(entry.summary.slotId), JSON.stringify(entry, null, 2));
+  return entry.summary;
+});
+
+ipcMain.handle('games:delete', async (_event, slotId) => {
+  await fs.rm(savedGamePath(slotId), { force: true });
+});
+
+ipcMain.handle('history:list', async () => {
+  return loadHistory();
+});
+
+// Records are keyed by id, so a game's entry is updated as it progresses.
+// Writes are chained so back-to-back updates never read a stale file.
+ipcMain.handle('history:record', async (_event, record) => {
+  historyWrite = historyWrite.catch(() => {}).then(async () => {
+    const records = await loadHistory();
+    const index = records.findIndex((entry) => entry.id === record.id);
+    if (index === -1) records.push(record);
+    else records[index] = record;
+    await fs.writeFile(historyPath(), JSON.stringify(records));
+  });
+  await historyWrite;
+  return record;
+});
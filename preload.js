@@ -3,5 +3,13 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('api', {
   getPreferences: async () => ipcRenderer.invoke('prefs:get'),
   setPreferences: async (prefs) => ipcRenderer.invoke('prefs:set', prefs),
-  updateStats: async (stats) => ipcRenderer.invoke('prefs:stats', stats)
+  updateStats: async (stats) => ipcRenderer.invoke('prefs:stats', stats),
+  exportGame: async (payload) => ipcRenderer.invoke('game:export', payload),
+  onSystemIdle: (callback) => ipcRenderer.on('power:idle', (_event, reason) => callback(reason)),
+  listSavedGames: async () => ipcRenderer.invoke('games:list'),
+  getSavedGame: async (slotId) => ipcRenderer.invoke('games:get', slotId),
+  saveGame: async (entry) => ipcRenderer.invoke('games:save', entry),
+  deleteSavedGame: async (slotId) => ipcRenderer.invoke('games:delete', slotId),
+  listHistory: async () => ipcRenderer.invoke('history:list'),
+  recordHistory: async (record) => ipcRenderer.invoke('history:record', record)
 });
@@ -1,9 +1,40 @@
 import { SudokuBoard } from './sudoku/board.js';
-import { generatePuzzle } from './sudoku/generator.js';
-import { createGrid, updateGrid, highlightSelection } from './sudoku/ui.js';
+import {
+  formatGameFile,
+  formatGivens,
+  formatPrintableHtml,
+  formatReplayFile,
+  parseGivens,
+  parseGameFile,
+  parsePuzzles,
+  validateImportedPuzzle
+} from './sudoku/formats.js';
+import { dailySeed, generatePuzzle, gradePuzzle } from './sudoku/generator.js';
+import { dateKey, dayStreak, summarizeHistory } from './sudoku/history-stats.js';
+import { barChart, lineChart } from './sudoku/charts.js';
+import { cageCombinations } from './sudoku/killer.js';
+import { MoveTree, timelineSvg } from './sudoku/move-tree.js';
+import { randomSeed } from './sudoku/random.js';
+import { invertChanges, seekReplay } from './sudoku/replay.js';
+import { BOX_SHAPES, compileRules, digitCount, gridSize, symbolFor } from './sudoku/rules.js';
+import { solveBoard, TECHNIQUES } from './sudoku/solver.js';
+import { createGrid, updateGrid, highlightSelection, markSelection } from './sudoku/ui.js';
+
+// Stat keys for hints, indexed by disclosure level - 1.
+const HINT_STAT_KEYS = ['hintsRegion', 'hintsTechnique', 'hintsAnswer'];
 
 function createDefaultStats() {
-  const base = { played: 0, wins: 0, totalTime: 0, bestTime: null, errors: 0 };
+  const base = {
+    played: 0,
+    wins: 0,
+    losses: 0,
+    totalTime: 0,
+    bestTime: null,
+    errors: 0,
+    hintsRegion: 0,
+    hintsTechnique: 0,
+    hintsAnswer: 0
+  };
   return {
     solved: 0,
     totalTime: 0,
@@ -32,13 +63,66 @@ function mergeStats(base, incoming) {
   return merged;
 }
 
+function mergeDailyResults(base, incoming) {
+  const merged = { ...(base || {}) };
+  Object.entries(incoming || {}).forEach(([day, results]) => {
+    merged[day] = { ...(merged[day] || {}), ...results };
+  });
+  return merged;
+}
+
+function createGameStats() {
+  return { errors: 0, moves: 0, hintsRegion: 0, hintsTechnique: 0, hintsAnswer: 0 };
+}
+
 const gridEl = document.getElementById('grid');
+const gridScroller = document.getElementById('gridScroller');
+const zoomControls = document.getElementById('zoomControls');
+const zoomResetBtn = document.getElementById('zoomResetBtn');
 const difficultySelect = document.getElementById('difficultySelect');
+const variantSelect = document.getElementById('variantSelect');
+const sizeSelect = document.getElementById('sizeSelect');
+const mistakeModeSelect = document.getElementById('mistakeModeSelect');
+const strikesEl = document.getElementById('strikes');
+const gameOverModal = document.getElementById('gameOverModal');
+const replayModal = document.getElementById('replayModal');
+const replayTitle = document.getElementById('replayTitle');
+const replayGrid = document.getElementById('replayGrid');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replayScrub = document.getElementById('replayScrub');
+const replayTime = document.getElementById('replayTime');
+const replaySpeed = document.getElementById('replaySpeed');
+const numberPad = document.getElementById('numberPad');
+const cagePanel = document.getElementById('cagePanel');
+const cagePanelTitle = document.getElementById('cagePanelTitle');
+const cagePanelText = document.getElementById('cagePanelText');
+const timelinePanel = document.getElementById('timelinePanel');
+const timelineEl = document.getElementById('timeline');
+const checkpointForm = document.getElementById('checkpointForm');
+const checkpointName = document.getElementById('checkpointName');
+const checkpointList = document.getElementById('checkpointList');
 const difficultyRadios = Array.from(document.querySelectorAll('input[name=\"difficulty\"]'));
 const newGameBtn = document.getElementById('newGameBtn');
 const settingsBtn = document.getElementById('settingsBtn');
+const statsBtn = document.getElementById('statsBtn');
+const dailyBtn = document.getElementById('dailyBtn');
+const dailyModal = document.getElementById('dailyModal');
+const dailyStreakEl = document.getElementById('dailyStreak');
+const dailyMonthEl = document.getElementById('dailyMonth');
+const dailyCalendar = document.getElementById('dailyCalendar');
+const dailyDifficulty = document.getElementById('dailyDifficulty');
+const dailyPrevBtn = document.getElementById('dailyPrevBtn');
+const dailyNextBtn = document.getElementById('dailyNextBtn');
+const closeDailyBtn = document.getElementById('closeDailyBtn');
+const playDailyBtn = document.getElementById('playDailyBtn');
+const statsModal = document.getElementById('statsModal');
+const statsDifficulty = document.getElementById('statsDifficulty');
+const statsSize = document.getElementById('statsSize');
+const statsVariant = document.getElementById('statsVariant');
+const closeStatsBtn = document.getElementById('closeStatsBtn');
 const numberButtons = Array.from(document.querySelectorAll('.num-btn'));
 const notesToggle = document.getElementById('notesToggle');
+const noteLayerButtons = Array.from(document.querySelectorAll('#noteLayerPicker button'));
 const themeToggle = document.getElementById('themeToggle');
 const timerEl = document.getElementById('timer');
 const solvedCountEl = document.getElementById('solvedCount');
@@ -48,8 +132,48 @@ const modal = document.getElementById('newGameModal');
 const startNewBtn = document.getElementById('startNewBtn');
 const restartBtn = document.getElementById('restartBtn');
 const cancelModalBtn = document.getElementById('cancelModalBtn');
+const puzzleIdInput = document.getElementById('puzzleIdInput');
+const playPuzzleBtn = document.getElementById('playPuzzleBtn');
+const importBtn = document.getElementById('importBtn');
+const importModal = document.getElementById('importModal');
+const importText = document.getElementById('importText');
+const importFileBtn = document.getElementById('importFileBtn');
+const importFileInput = document.getElementById('importFileInput');
+const importPick = document.getElementById('importPick');
+const importError = document.getElementById('importError');
+const confirmImportBtn = document.getElementById('confirmImportBtn');
+const cancelImportBtn = document.getElementById('cancelImportBtn');
+const savedGamesBtn = document.getElementById('savedGamesBtn');
+const savedGamesModal = document.getElementById('savedGamesModal');
+const savedGamesList = document.getElementById('savedGamesList');
+const closeSavedGamesBtn = document.getElementById('closeSavedGamesBtn');
+const historyList = document.getElementById('historyList');
+const historyDifficulty = document.getElementById('historyDifficulty');
+const historyOutcome = document.getElementById('historyOutcome');
+const historySort = document.getElementById('historySort');
+const exportBtn = document.getElementById('exportBtn');
+const exportModal = document.getElementById('exportModal');
+const exportOptions = Array.from(document.querySelectorAll('.export-option'));
+const cancelExportBtn = document.getElementById('cancelExportBtn');
+const pauseBtn = document.getElementById('pauseBtn');
+const pauseBtnLabel = pauseBtn?.querySelector('.label');
+const resumeBtn = document.getElementById('resumeBtn');
+const autoPauseSetting = document.getElementById('autoPauseSetting');
+const paintStyleSetting = document.getElementById('paintStyleSetting');
+const liveCandidatesSetting = document.getElementById('liveCandidatesSetting');
+const basicEliminationsSetting = document.getElementById('basicEliminationsSetting');
+const fillCandidatesBtn = document.getElementById('fillCandidatesBtn');
+const colorSwatches = Array.from(document.querySelectorAll('#colorPalette .color-swatch'));
+const clearColorsBtn = document.getElementById('clearColorsBtn');
+const checkBoardBtn = document.getElementById('checkBoardBtn');
+const revealCellBtn = document.getElementById('revealCellBtn');
+const revealSolutionBtn = document.getElementById('revealSolutionBtn');
 const undoBtn = document.getElementById('undoBtn');
 const redoBtn = document.getElementById('redoBtn');
+const hintBtn = document.getElementById('hintBtn');
+const hintPanel = document.getElementById('hintPanel');
+const hintPanelTitle = document.getElementById('hintPanelTitle');
+const hintPanelText = document.getElementById('hintPanelText');
 const gameMetaText = document.getElementById('gameMetaText');
 const gameDifficultyEl = document.getElementById('gameDifficulty');
 const notesToggleLabel = document.querySelector('label[for="notesToggle"]');
@@ -64,41 +188,113 @@ const statsContainer = document.getElementById('statsContainer');
 const DEFAULT_PREFS = {
   theme: 'light',
   lastDifficulty: 'medium',
+  lastVariant: 'classic',
+  lastSize: 9,
+  lastMistakeMode: 'conflicts',
   stats: createDefaultStats(),
+  daily: {},
   settings: {
     highlights: true,
     autoNotes: true,
-    conflictHighlight: true
+    conflictHighlight: true,
+    autoPause: true,
+    paintStyle: 'stripes',
+    liveCandidates: false,
+    basicEliminations: false
   },
   gameState: null
 };
 const STORAGE_KEY = 'sudoku_prefs';
+const GAMES_STORAGE_KEY = 'sudoku_games';
+const HISTORY_STORAGE_KEY = 'sudoku_history';
+const HISTORY_OUTCOMES = {
+  playing: 'In progress',
+  won: 'Won',
+  restarted: 'Restarted',
+  abandoned: 'Abandoned',
+  lost: 'Lost'
+};
+// How wrong digits are shown, chosen per game in the new-game dialog.
+// Hardcore ends the game at MISTAKE_LIMIT digits that disagree with the
+// solution.
+const MISTAKE_MODES = {
+  relaxed: 'Relaxed',
+  conflicts: 'Conflicts only',
+  instant: 'Instant check',
+  hardcore: 'Hardcore'
+};
+const MISTAKE_LIMIT = 3;
+const VARIANT_NAMES = {
+  classic: 'Classic',
+  killer: 'Killer',
+  jigsaw: 'Jigsaw',
+  x: 'X-Sudoku',
+  windoku: 'Windoku',
+  'anti-knight': 'Anti-knight',
+  'anti-king': 'Anti-king',
+  samurai: 'Samurai',
+  thermo: 'Thermometer',
+  arrow: 'Arrow',
+  kropki: 'Kropki'
+};
+const HISTORY_SORTERS = {
+  newest: (a, b) => String(b.startedAt).localeCompare(String(a.startedAt)),
+  oldest: (a, b) => String(a.startedAt).localeCompare(String(b.startedAt)),
+  fastest: (a, b) => a.elapsed - b.elapsed,
+  slowest: (a, b) => b.elapsed - a.elapsed
+};
 const STATE_SAVE_DELAY_MS = 160;
 const LOADING_OVERLAY_MIN_MS = 120;
 const LOADING_OVERLAY_FADE_MS = 120;
+const TIMER_TICK_MS = 250;
+const HINT_LEVELS = 3;
+// How long Check board keeps the wrong digits flagged.
+const CHECK_FLASH_MS = 2400;
+const REPLAY_TICK_MS = 50;
+// Zoom range of the Samurai layout, which is too dense to play at one size.
+const GRID_ZOOM_MIN = 1;
+const GRID_ZOOM_MAX = 3;
+const GRID_ZOOM_STEP = 0.25;
+const SAMURAI_GRID_NAMES = ['top-left', 'top-right', 'center', 'bottom-left', 'bottom-right'];
 
 let cells = [];
 let board = null;
 let selected = null;
+// Every cell picked by shift/ctrl-click, drag or shift+arrows, as "row,col"
+// keys; holds `selected` too whenever it has more than one cell.
+let selection = new Set();
 let notesMode = false;
+// Which pencil marks notes mode writes: 'center' or 'corner'.
+let noteLayer = 'center';
 let activeNumber = null;
 let timerInterval = null;
+let timerStartedAt = null;
+let elapsedBeforeStart = 0;
 let secondsElapsed = 0;
+let paused = false;
 let stats = createDefaultStats();
 let userSettings = { ...DEFAULT_PREFS.settings };
 let dealing = false;
 let loadingGame = false;
 let completedDigits = new Set();
-let gameStats = { errors: 0, moves: 0 };
-const undoStack = [];
-const redoStack = [];
+let gameStats = createGameStats();
+let moves = new MoveTree();
+let replaySteps = [];
+let replayView = null;
 let conflictCache = new Set();
 let lastHint = null;
+let historyRecords = [];
+let gridRules = null;
+let gridZoom = 1;
+// Daily results by day and difficulty, kept apart from the free-play stats.
+let dailyResults = {};
+let dailyMonth = null;
 let wakeLock = null;
 let wakeLockRequested = false;
 let pendingNumberClear = false;
 let saveStateTimer = null;
 let statusTimer = null;
+let checkTimer = null;
 let puzzleWorker = null;
 let puzzleRequestSeq = 0;
 const pendingPuzzleRequests = new Map();
@@ -164,6 +360,72 @@ async function updateStatsPrefs(statsUpdate) {
   return stats;
 }
 
+function readLocalGames() {
+  try {
+    return JSON.parse(localStorage.getItem(GAMES_STORAGE_KEY) || '{}');
+  } catch (e) {
+    console.error('Failed to read local saved games', e);
+    return {};
+  }
+}
+
+function writeLocalGames(games) {
+  try {
+    localStorage.setItem(GAMES_STORAGE_KEY, JSON.stringify(games));
+  } catch (e) {
+    console.error('Failed to write local saved games', e);
+  }
+}
+
+async function listSavedGames() {
+  if (window.api?.listSavedGames) return window.api.listSavedGames();
+  return Object.values(readLocalGames())
+    .map((entry) => entry.summary)
+    .sort((a, b) => String(b.lastPlayed).localeCompare(String(a.lastPlayed)));
+}
+
+async function getSavedGame(slotId) {
+  if (window.api?.getSavedGame) return window.api.getSavedGame(slotId);
+  return readLocalGames()[slotId] || null;
+}
+
+async function storeSavedGame(entry) {
+  if (window.api?.saveGame) return window.api.saveGame(entry);
+  writeLocalGames({ ...readLocalGames(), [entry.summary.slotId]: entry });
+  return entry.summary;
+}
+
+async function removeSavedGame(slotId) {
+  if (window.api?.deleteSavedGame) return window.api.deleteSavedGame(slotId);
+  const games = readLocalGames();
+  delete games[slotId];
+  writeLocalGames(games);
+}
+
+async function listHistory() {
+  if (window.api?.listHistory) return window.api.listHistory();
+  try {
+    return JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]');
+  } catch (e) {
+    console.error('Failed to read local history', e);
+    return [];
+  }
+}
+
+async function storeHistoryRecord(record) {
+  if (window.api?.recordHistory) return window.api.recordHistory(record);
+  const records = await listHistory();
+  const index = records.findIndex((entry) => entry.id === record.id);
+  if (index === -1) records.push(record);
+  else records[index] = record;
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(records));
+  } catch (e) {
+    console.error('Failed to write local history', e);
+  }
+  return record;
+}
+
 async function loadPreferences() {
   let restored = false;
   const prefs = await getPreferences();
@@ -172,6 +434,7 @@ async function loadPreferences() {
     ...prefs,
     ...local,
     stats: mergeStats(prefs.stats || createDefaultStats(), local.stats || createDefaultStats()),
+    daily: mergeDailyResults(prefs.daily, local.daily),
     settings: { ...DEFAULT_PREFS.settings, ...(prefs.settings || {}), ...(local.settings || {}) }
   };
   merged.gameState = local.gameState || prefs.gameState || null;
@@ -179,10 +442,17 @@ async function loadPreferences() {
   const savedTheme = merged.theme || 'light';
   themeToggle.checked = savedTheme === 'dark';
   difficultySelect.value = merged.lastDifficulty || 'medium';
+  if (variantSelect) variantSelect.value = VARIANT_NAMES[merged.lastVariant] ? merged.lastVariant : 'classic';
+  if (sizeSelect) sizeSelect.value = BOX_SHAPES[merged.lastSize] ? String(merged.lastSize) : '9';
+  if (mistakeModeSelect) {
+    mistakeModeSelect.value = MISTAKE_MODES[merged.lastMistakeMode] ? merged.lastMistakeMode : 'conflicts';
+  }
+  syncVariantChoice();
   difficultyRadios.forEach((r) => {
     r.checked = r.value === difficultySelect.value;
   });
   stats = merged.stats || stats;
+  dailyResults = merged.daily;
   userSettings = merged.settings || { ...DEFAULT_PREFS.settings };
   if (solvedCountEl) {
     solvedCountEl.textContent = stats.solved ?? stats.overall?.wins ?? 0;
@@ -221,16 +491,31 @@ function setNotesMode(on, { save = true, announce = false } = {}) {
   if (save) saveState();
 }
 
+function setNoteLayer(layer, { save = true, announce = false } = {}) {
+  noteLayer = layer;
+  noteLayerButtons.forEach((btn) => {
+    const on = btn.dataset.layer === layer;
+    btn.classList.toggle('active', on);
+    btn.setAttribute('aria-checked', String(on));
+  });
+  if (announce) showStatus(layer === 'corner' ? 'Corner marks' : 'Center marks');
+  if (save) saveState();
+}
+
 function updateGameMeta(meta) {
   if (!meta) return;
   const diff = meta.difficulty || difficultySelect.value || 'medium';
   const id = meta.id || '-----';
-  const diffLabel = diff.charAt(0).toUpperCase() + diff.slice(1);
+  const diffLabel = gameLabel(meta.variant, diff, board?.digits);
   if (gameDifficultyEl) {
-    gameDifficultyEl.textContent = diffLabel;
+    gameDifficultyEl.textContent = meta.daily ? `Daily ${diffLabel}` : diffLabel;
   }
   if (gameMetaText) {
-    gameMetaText.textContent = `${diffLabel} #${id}`;
+    if (meta.daily) {
+      gameMetaText.textContent = `Current puzzle: Daily ${diffLabel}, ${formatDay(meta.daily)}`;
+    } else {
+      gameMetaText.textContent = meta.id ? `Current puzzle: ${diffLabel} #${id}` : '';
+    }
   }
 }
 
@@ -283,48 +568,74 @@ function updateThemeMeta(theme) {
   if (metaDark) metaDark.setAttribute('content', dark);
 }
 
-function snapshotBoard() {
+// What surrounds a move besides the cells: kept with each move so undo and
+// redo also bring back the selection, the input mode and the counters.
+function moveContext() {
   return {
-    grid: board.grid.map((row) => [...row]),
-    notes: board.notes.map((row) => row.map((set) => Array.from(set))),
     selected: selected ? { ...selected } : null,
+    selection: Array.from(selection),
     notesMode,
     activeNumber,
     gameStats: { ...gameStats }
   };
 }
 
-function restoreBoard(snapshot) {
-  if (!snapshot) return;
-  board.grid = snapshot.grid.map((row) => [...row]);
-  board.notes = snapshot.notes.map((row) => row.map((vals) => new Set(vals)));
-  selected = snapshot.selected ? { ...snapshot.selected } : null;
-  setNotesMode(snapshot.notesMode, { save: false });
-  setActiveNumber(snapshot.activeNumber || null, true);
-  gameStats = snapshot.gameStats ? { ...snapshot.gameStats } : { errors: 0, moves: 0 };
-  updateGameMeta(snapshot.meta);
+function restoreContext(context) {
+  selected = context.selected ? { ...context.selected } : null;
+  selection = new Set(context.selection);
+  setNotesMode(context.notesMode, { save: false });
+  setActiveNumber(context.activeNumber || null, true);
+  // Hints are not moves, so undo keeps their counts, and a hardcore
+  // mistake stays counted once it is undone.
+  const keptKeys = board.mistakeMode === 'hardcore' ? [...HINT_STAT_KEYS, 'errors'] : HINT_STAT_KEYS;
+  const keptCounts = Object.fromEntries(keptKeys.map((key) => [key, gameStats[key]]));
+  gameStats = { ...createGameStats(), ...(context.gameStats || {}), ...keptCounts };
 }
 
-function pushUndo(snapshot) {
-  undoStack.push(snapshot);
-  if (undoStack.length > 200) undoStack.shift();
-  redoStack.length = 0;
+/**
+ * Starts an undoable move. Everything the board records until
+ * commitMove(before) undoes and redoes as one step, however many cells
+ * it touched. Returns the context to hand to commitMove.
+ */
+function beginMove() {
+  board.beginMove();
+  return moveContext();
+}
+
+// Moves are stored as the cells they changed (see SudokuBoard#endMove),
+// small enough to keep the whole game's history and save it with the game.
+// A move played after an undo starts a branch in the move tree.
+function commitMove(before) {
+  const changes = board.endMove();
+  if (!changes.length) return;
+  moves.add({ changes, before, after: moveContext() });
+  recordStep(changes);
+}
+
+// Every value and note action, undo and redo included, goes into the
+// game's replay at its time on the game clock.
+function recordStep(changes) {
+  if (changes.length) replaySteps.push({ at: Math.round(readElapsed() * 1000), changes });
 }
 
 function computeCompletedDigits() {
   if (!board) return { completedDigits: new Set(), newlyCompleted: new Set() };
-  const counts = Array(10).fill(0);
-  for (let r = 0; r < 9; r++) {
-    for (let c = 0; c < 9; c++) {
+  // Every digit appears once per row, except on the Samurai layout, so
+  // count against the solution.
+  const counts = Array(board.digits + 1).fill(0);
+  const totals = Array(board.digits + 1).fill(0);
+  for (let r = 0; r < board.size; r++) {
+    for (let c = 0; c < board.size; c++) {
       const v = board.getValue(r, c);
+      totals[board.solution[r][c]] += 1;
       if (v && board.solution[r][c] === v) {
         counts[v] += 1;
       }
     }
   }
   const next = new Set();
-  for (let v = 1; v <= 9; v++) {
-    if (counts[v] === 9) next.add(v);
+  for (let v = 1; v <= board.digits; v++) {
+    if (counts[v] === totals[v]) next.add(v);
   }
   const newlyCompleted = new Set([...next].filter((v) => !completedDigits.has(v)));
   completedDigits = next;
@@ -333,7 +644,7 @@ function computeCompletedDigits() {
 
 function refreshGrid(conflicts = null, hint = null) {
   if (!board) return;
-  const allowConflicts = userSettings.conflictHighlight !== false;
+  const allowConflicts = userSettings.conflictHighlight !== false && board.mistakeMode !== 'relaxed';
   if (!allowConflicts) {
     conflictCache = new Set();
   }
@@ -350,24 +661,61 @@ function refreshGrid(conflicts = null, hint = null) {
     conflictCache = new Set(conflictsToUse);
   }
   lastHint = hint;
+  renderHintPanel(hint);
   const { completedDigits: done, newlyCompleted } = computeCompletedDigits();
   completedDigits = done;
   const cleared = updateNumberPad(done);
   if (cleared) {
     selected = null;
+    selection = new Set();
   }
   const currentActive = cleared ? null : activeNumber;
+  // Instant check marks every wrong digit the way conflicts are marked.
+  const marked =
+    board.mistakeMode === 'instant' ? new Set([...conflictsToUse, ...board.mismatchedCells()]) : conflictsToUse;
   updateGrid(
     cells,
     board,
     selected,
-    conflictsToUse,
+    marked,
     hint,
     done,
     newlyCompleted,
     currentActive,
-    userSettings.highlights !== false
+    userSettings.highlights !== false,
+    userSettings.paintStyle
   );
+  markSelection(cells, selection);
+  renderCagePanel();
+  renderStrikes();
+  renderTimeline();
+}
+
+function renderStrikes() {
+  if (!strikesEl) return;
+  strikesEl.hidden = board.mistakeMode !== 'hardcore';
+  strikesEl.textContent = `✕ ${Math.min(gameStats.errors, MISTAKE_LIMIT)}/${MISTAKE_LIMIT}`;
+}
+
+// Lists the digit combinations still open to the selected cell's Killer cage.
+function renderCagePanel() {
+  if (!cagePanel) return;
+  const model = board?.rules?.cages ? compileRules(board.rules) : null;
+  const cageIndex = model && selected ? model.cageAt[selected.row * 9 + selected.col] : -1;
+  cagePanel.hidden = cageIndex === -1;
+  if (cageIndex === -1) return;
+  const { sum, cells: cageCells } = model.cages[cageIndex];
+  const placed = cageCells.map((cell) => board.getValue(Math.floor(cell / 9), cell % 9)).filter(Boolean);
+  const placedSum = placed.reduce((total, value) => total + value, 0);
+  const combos = cageCombinations(sum - placedSum, cageCells.length - placed.length, placed);
+  cagePanelTitle.textContent = `Cage ${sum} in ${cageCells.length}`;
+  if (placed.length === cageCells.length) {
+    cagePanelText.textContent = placedSum === sum ? 'Cage complete.' : 'These digits do not add up.';
+  } else {
+    cagePanelText.textContent = combos.length
+      ? combos.map((combo) => combo.join('')).join(' · ')
+      : 'No combination fits the digits placed so far.';
+  }
 }
 
 function updateNumberPad(doneSet) {
@@ -380,7 +728,7 @@ function updateNumberPad(doneSet) {
       activeCleared = true;
     }
   });
-  if (doneSet.size === 9 && activeNumber !== null) {
+  if (doneSet.size === (board?.digits || 9) && activeNumber !== null) {
     activeCleared = true;
   }
   if (activeCleared) {
@@ -398,29 +746,67 @@ function persistStats() {
   updateStatsPrefs(stats);
 }
 
+// Per-difficulty stats compare like with like: dailies keep their own
+// results, and grids other than 9x9 only show up in the history. Samurai
+// is played on 9x9 grids and counts like the other variants.
+function countsTowardStats() {
+  return !board.daily && board.digits === 9;
+}
+
 function recordGameStart(difficulty) {
   const diffStats = stats.difficulties?.[difficulty] || stats.difficulties.medium;
   diffStats.played += 1;
   stats.overall.played += 1;
 }
 
-function recordGameEnd(difficulty, elapsedSeconds, errorsCount) {
+// An assisted game (see markAssisted) still counts as a win but never sets
+// a best time.
+function recordGameEnd(difficulty, elapsedSeconds, errorsCount, assisted = false) {
   const diffStats = stats.difficulties?.[difficulty] || stats.difficulties.medium;
   diffStats.wins += 1;
   diffStats.totalTime += elapsedSeconds;
-  diffStats.bestTime =
-    diffStats.bestTime === null ? elapsedSeconds : Math.min(diffStats.bestTime, elapsedSeconds);
+  if (!assisted) {
+    diffStats.bestTime =
+      diffStats.bestTime === null ? elapsedSeconds : Math.min(diffStats.bestTime, elapsedSeconds);
+  }
   diffStats.errors += errorsCount;
 
   stats.overall.wins += 1;
   stats.overall.totalTime += elapsedSeconds;
-  stats.overall.bestTime =
-    stats.overall.bestTime === null ? elapsedSeconds : Math.min(stats.overall.bestTime, elapsedSeconds);
+  if (!assisted) {
+    stats.overall.bestTime =
+      stats.overall.bestTime === null ? elapsedSeconds : Math.min(stats.overall.bestTime, elapsedSeconds);
+  }
   stats.overall.errors += errorsCount;
   stats.solved = stats.overall.wins;
   stats.totalTime = stats.overall.totalTime;
 }
 
+function recordGameLoss(difficulty) {
+  const diffStats = stats.difficulties?.[difficulty] || stats.difficulties.medium;
+  diffStats.losses += 1;
+  stats.overall.losses += 1;
+}
+
+// Keeps the best result for each daily; dailies never touch the free-play stats.
+function recordDailyResult(day, difficulty, elapsedSeconds, errorsCount) {
+  const previous = dailyResults[day]?.[difficulty];
+  if (previous && previous.elapsed <= elapsedSeconds) return;
+  dailyResults[day] = {
+    ...(dailyResults[day] || {}),
+    [difficulty]: { elapsed: elapsedSeconds, errors: errorsCount, finishedAt: new Date().toISOString() }
+  };
+}
+
+function recordHintUsed(difficulty, level) {
+  const key = HINT_STAT_KEYS[level - 1];
+  const diffStats = stats.difficulties?.[difficulty] || stats.difficulties.medium;
+  gameStats[key] += 1;
+  if (!countsTowardStats()) return;
+  diffStats[key] += 1;
+  stats.overall[key] += 1;
+}
+
 function setLoadingGame(on) {
   loadingGame = on;
   document.body.classList.toggle('loading-game', on);
@@ -434,12 +820,12 @@ function wait(ms) {
 }
 
 function handlePuzzleWorkerMessage(event) {
-  const { id, ok, puzzle, solution, error } = event.data || {};
+  const { id, ok, puzzle, solution, grade, seed, rules, error } = event.data || {};
   const request = pendingPuzzleRequests.get(id);
   if (!request) return;
   pendingPuzzleRequests.delete(id);
   if (ok) {
-    request.resolve({ puzzle, solution });
+    request.resolve({ puzzle, solution, grade, seed, rules });
     return;
   }
   request.reject(new Error(error || 'Puzzle generation failed'));
@@ -471,7 +857,7 @@ function getPuzzleWorker() {
   return puzzleWorker;
 }
 
-async function generatePuzzleAsync(difficulty) {
+async function generatePuzzleAsync(difficulty, seed, variant = 'classic', size = 9) {
   let worker = null;
   try {
     worker = getPuzzleWorker();
@@ -479,12 +865,12 @@ async function generatePuzzleAsync(difficulty) {
     console.warn('Falling back to main-thread puzzle generation', error);
   }
   if (!worker) {
-    return generatePuzzle(difficulty);
+    return generatePuzzle(difficulty, seed, variant, size);
   }
   const id = ++puzzleRequestSeq;
   return new Promise((resolve, reject) => {
     pendingPuzzleRequests.set(id, { resolve, reject });
-    worker.postMessage({ id, difficulty });
+    worker.postMessage({ id, difficulty, seed, variant, size });
   });
 }
 
@@ -492,7 +878,11 @@ function buildPreferencesPayload() {
   return {
     theme: themeToggle.checked ? 'dark' : 'light',
     lastDifficulty: difficultySelect.value,
+    lastVariant: variantSelect?.value || 'classic',
+    lastSize: Number(sizeSelect?.value) || 9,
+    lastMistakeMode: mistakeModeSelect?.value || 'conflicts',
     stats,
+    daily: dailyResults,
     settings: userSettings,
     gameState: buildGameState()
   };
@@ -525,6 +915,10 @@ function saveState({ immediate = false, localOnly = false } = {}) {
 function buildGameState() {
   if (!board) return null;
   const notes = board.notes.map((row) => row.map((set) => Array.from(set)));
+  const cornerNotes = board.cornerNotes.map((row) => row.map((set) => Array.from(set)));
+  const colors = board.colors.map((row) => row.map((list) => [...list]));
+  const eliminated = board.eliminated.map((row) => row.map((set) => Array.from(set)));
+  const hinted = board.hinted.map((row) => row.map((set) => Array.from(set)));
   const puzzle = board.puzzle
     ? board.puzzle.map((row) => [...row])
     : board.givens.map((row, rIdx) =>
@@ -535,50 +929,257 @@ function buildGameState() {
     solution: board.solution.map((row) => [...row]),
     grid: board.grid.map((row) => [...row]),
     notes,
+    cornerNotes,
+    colors,
+    eliminated,
+    hinted,
+    grade: board.grade || null,
     difficulty: difficultySelect.value,
     elapsed: secondsElapsed,
+    paused,
     notesMode,
+    noteLayer,
     activeNumber,
     gameStats,
     completedDigits: Array.from(completedDigits),
     conflicts: Array.from(conflictCache),
+    history: moves.toJSON(),
+    replay: replaySteps.slice(),
+    rules: board.rules,
     meta: {
       difficulty: difficultySelect.value,
-      id: board?.id || null
+      variant: board.variant,
+      id: board?.id || null,
+      slotId: board?.slotId || null,
+      daily: board?.daily || null,
+      historyId: board?.historyId || null,
+      startedAt: board?.startedAt || null,
+      mistakeMode: board?.mistakeMode || 'conflicts',
+      lost: !!board?.lost,
+      assisted: !!board?.assisted
     }
   };
 }
 
-function restoreGameState(state) {
-  if (!state || !state.puzzle || !state.solution) return false;
+// "Medium", "Killer Medium" for variants, or "6×6 Medium" for other sizes.
+function gameLabel(variant, difficulty, size = 9) {
+  let label = difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
+  if (variant && variant !== 'classic') label = `${VARIANT_NAMES[variant] || variant} ${label}`;
+  return size && size !== 9 ? `${size}×${size} ${label}` : label;
+}
+
+// Variant games and other sizes carry their own layout, so the grid and
+// the number pad are rebuilt for them. The Samurai layout scrolls and
+// zooms inside the usual board frame.
+function syncGridLayout() {
+  if (gridRules === board.rules) return;
+  gridRules = board.rules;
+  cells = createGrid(gridEl, handleCellClick, board.rules);
+  numberPad.dataset.size = board.digits;
+  numberButtons.forEach((btn) => {
+    btn.hidden = Number(btn.dataset.val) > board.digits;
+  });
+  const zoomable = !!board.rules?.samurai;
+  gridScroller?.classList.toggle('zoomable', zoomable);
+  if (zoomControls) zoomControls.hidden = !zoomable;
+  setGridZoom(1);
+}
+
+function setGridZoom(zoom) {
+  gridZoom = Math.min(GRID_ZOOM_MAX, Math.max(GRID_ZOOM_MIN, zoom));
+  gridEl.style.setProperty('--grid-zoom', gridZoom);
+  if (zoomResetBtn) zoomResetBtn.textContent = `${Math.round(gridZoom * 100)}%`;
+}
+
+// Keeps a cell in view when the zoomed layout scrolls.
+function revealCell(row, col) {
+  if (!gridScroller?.classList.contains('zoomable')) return;
+  cells[row][col].scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+// Variants are 9x9 only, so another size locks the picker to Classic.
+function syncVariantChoice() {
+  if (!sizeSelect || !variantSelect) return;
+  const sized = sizeSelect.value !== '9';
+  if (sized) variantSelect.value = 'classic';
+  variantSelect.disabled = sized;
+}
+
+function createSlotId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Share of the blank cells that have been filled in, right or wrong.
+function gameProgress(state) {
+  let blanks = 0;
+  let filled = 0;
+  state.puzzle.forEach((row, r) =>
+    row.forEach((given, c) => {
+      if (given) return;
+      blanks += 1;
+      if (state.grid[r][c]) filled += 1;
+    })
+  );
+  return blanks ? Math.round((filled / blanks) * 100) : 100;
+}
+
+function summarizeGame(state) {
+  return {
+    slotId: state.meta.slotId,
+    id: state.meta.id,
+    difficulty: state.difficulty,
+    variant: state.meta.variant || 'classic',
+    size: digitCount(state.rules),
+    progress: gameProgress(state),
+    elapsed: state.elapsed,
+    lastPlayed: new Date().toISOString()
+  };
+}
+
+function historyRecord(state, outcome) {
+  const counts = state.gameStats || createGameStats();
+  return {
+    id: state.meta.historyId,
+    puzzleId: state.meta.id,
+    difficulty: state.difficulty,
+    variant: state.meta.variant || 'classic',
+    size: digitCount(state.rules),
+    rules: state.rules || null,
+    daily: state.meta.daily || null,
+    givens: formatGivens(state.puzzle),
+    startedAt: state.meta.startedAt,
+    finishedAt: outcome === 'playing' ? null : new Date().toISOString(),
+    elapsed: Math.floor(state.elapsed || 0),
+    errors: counts.errors || 0,
+    moves: counts.moves || 0,
+    hints: HINT_STAT_KEYS.reduce((sum, key) => sum + (counts[key] || 0), 0),
+    assisted: !!state.meta.assisted,
+    outcome,
+    // Finished games keep their replay; the solution saves solving the
+    // givens again to watch it.
+    replay:
+      outcome === 'won' || outcome === 'lost'
+        ? { solution: formatGivens(state.solution), steps: state.replay || [] }
+        : null
+  };
+}
+
+// Writes the current game's history entry; the same id is updated until it ends.
+function logGame(outcome) {
+  if (!board?.historyId) return;
+  storeHistoryRecord(historyRecord(buildGameState(), outcome)).catch((e) =>
+    console.error('Failed to record game history', e)
+  );
+}
+
+// Every attempt at a puzzle, restarts included, gets its own history entry.
+function beginHistory() {
+  board.historyId = createSlotId();
+  board.startedAt = new Date().toISOString();
+  logGame('playing');
+}
+
+/**
+ * Moves the current unfinished game into the saved-games library so that
+ * starting or resuming another game never throws it away.
+ */
+async function parkCurrentGame() {
+  if (!board || board.isSolved() || board.lost) return;
+  stopTimer();
+  const state = buildGameState();
+  // Nothing worth keeping in a board that was never touched.
+  const marked = (notes) => notes.some((row) => row.some((cell) => cell.length));
+  if (!gameStats.moves && !marked(state.notes) && !marked(state.cornerNotes) && !marked(state.colors)) {
+    logGame('abandoned');
+    return;
+  }
+  logGame('playing');
+  try {
+    await storeSavedGame({ summary: summarizeGame(state), state });
+  } catch (e) {
+    console.error('Failed to park current game', e);
+  }
+}
+
+/**
+ * Builds the board a saved game describes without touching the game in
+ * play. The grid is laid out off-screen first, so rules that cannot be
+ * drawn fail here. Returns null when the state cannot be opened.
+ */
+function boardFromState(state) {
+  if (!state || !state.puzzle || !state.solution) return null;
   try {
-    board = new SudokuBoard(state.puzzle, state.solution);
-    board.id = state.meta?.id || board.id || Math.floor(10000 + Math.random() * 90000);
+    const next = new SudokuBoard(state.puzzle, state.solution, state.rules || null);
+    next.variant = state.meta?.variant || 'classic';
+    next.id = state.meta?.id || null;
+    next.slotId = state.meta?.slotId || createSlotId();
+    next.daily = state.meta?.daily || null;
+    next.historyId = state.meta?.historyId || null;
+    next.startedAt = state.meta?.startedAt || null;
+    next.mistakeMode = MISTAKE_MODES[state.meta?.mistakeMode] ? state.meta.mistakeMode : 'conflicts';
+    next.lost = !!state.meta?.lost;
+    next.assisted = !!state.meta?.assisted;
+    next.grade = state.grade || null;
     const grid = state.grid || state.puzzle;
-    board.grid = grid.map((row) => [...row]);
-    board.notes = (state.notes || Array.from({ length: 9 }, () => Array.from({ length: 9 }, () => []))).map(
-      (row) => row.map((vals) => new Set(vals))
-    );
+    next.grid = grid.map((row) => [...row]);
+    const emptyGrid = Array.from({ length: next.size }, () => Array.from({ length: next.size }, () => []));
+    next.notes = (state.notes || emptyGrid).map((row) => row.map((vals) => new Set(vals)));
+    // Games saved before corner marks existed have only the center layer.
+    next.cornerNotes = (state.cornerNotes || emptyGrid).map((row) => row.map((vals) => new Set(vals)));
+    next.colors = (state.colors || emptyGrid).map((row) => row.map((list) => [...list]));
+    next.eliminated = (state.eliminated || emptyGrid).map((row) => row.map((vals) => new Set(vals)));
+    next.hinted = (state.hinted || emptyGrid).map((row) => row.map((vals) => new Set(vals)));
+    if (next.rules !== gridRules) createGrid(document.createElement('div'), () => {}, next.rules);
+    next.computeConflicts();
+    return next;
+  } catch (e) {
+    console.error('Failed to read game state', e);
+    return null;
+  }
+}
+
+// Pass the board from boardFromState when it was checked beforehand.
+function restoreGameState(state, next = boardFromState(state)) {
+  if (!next) return false;
+  try {
+    board = next;
+    syncGridLayout();
     completedDigits = new Set(state.completedDigits || []);
     const computedConflicts = userSettings.conflictHighlight === false ? [] : board.computeConflicts();
     conflictCache = new Set(computedConflicts);
     selected = null;
+    selection = new Set();
     difficultySelect.value = state.difficulty || difficultySelect.value;
     refreshGrid(conflictCache, null);
     gridEl.classList.remove('dealing');
-    cells.flat().forEach((cell) => cell.classList.add('revealed'));
+    cells.flat().forEach((cell) => {
+      cell.classList.add('revealed');
+      cell.classList.remove('solution-reveal');
+    });
     stopTimer();
     secondsElapsed = state.elapsed || 0;
     updateTimer();
     document.body.classList.add('timer-ready', 'in-game');
     startTimer(secondsElapsed);
+    setPaused(false);
+    if (board.lost) {
+      stopTimer();
+    } else if (state.paused) {
+      pauseGame();
+    }
+    setNoteLayer(state.noteLayer === 'corner' ? 'corner' : 'center', { save: false });
     setNotesMode(!!state.notesMode, { save: false });
     setActiveNumber(null, true, true);
-    undoStack.length = 0;
-    redoStack.length = 0;
-    gameStats = state.gameStats ? { ...state.gameStats } : { errors: 0, moves: 0 };
+    // Games saved with undo and redo stacks become a single line; games
+    // saved before moves were kept start with an empty history.
+    moves = state.history
+      ? new MoveTree(state.history)
+      : MoveTree.fromStacks(Array.isArray(state.undo) ? state.undo : [], Array.isArray(state.redo) ? state.redo : []);
+    replaySteps = Array.isArray(state.replay) ? state.replay : [];
+    gameStats = { ...createGameStats(), ...(state.gameStats || {}) };
     updateNumberPad(completedDigits);
-    updateGameMeta({ difficulty: difficultySelect.value, id: board.id });
+    updateGameMeta({ difficulty: difficultySelect.value, variant: board.variant, id: board.id, daily: board.daily });
+    if (!board.historyId) beginHistory();
     return true;
   } catch (e) {
     console.error('Failed to restore game state', e);
@@ -586,22 +1187,74 @@ function restoreGameState(state) {
   }
 }
 
+// Elapsed time comes from timestamps, so throttled or missed ticks never skew it.
+function readElapsed() {
+  if (timerStartedAt === null) return elapsedBeforeStart;
+  return elapsedBeforeStart + (performance.now() - timerStartedAt) / 1000;
+}
+
 function startTimer(initialSeconds = 0) {
-  secondsElapsed = initialSeconds;
+  elapsedBeforeStart = initialSeconds;
+  timerStartedAt = performance.now();
+  secondsElapsed = Math.floor(initialSeconds);
   updateTimer();
   if (timerInterval) clearInterval(timerInterval);
   timerInterval = setInterval(() => {
-    secondsElapsed += 1;
+    const next = Math.floor(readElapsed());
+    if (next === secondsElapsed) return;
+    secondsElapsed = next;
     updateTimer();
     if (secondsElapsed % 15 === 0) saveState();
-  }, 1000);
+  }, TIMER_TICK_MS);
 }
 
 function stopTimer() {
+  elapsedBeforeStart = readElapsed();
+  timerStartedAt = null;
+  secondsElapsed = Math.floor(elapsedBeforeStart);
   if (timerInterval) clearInterval(timerInterval);
   timerInterval = null;
 }
 
+function setPaused(on) {
+  paused = on;
+  document.body.classList.toggle('paused', on);
+  if (pauseBtnLabel) pauseBtnLabel.textContent = on ? 'Resume' : 'Pause';
+}
+
+/**
+ * Stops the clock and hides the grid. Only a running game can be paused,
+ * so dealing, finished and already paused games are left alone.
+ */
+function pauseGame({ auto = false } = {}) {
+  if (!board || paused || dealing || timerStartedAt === null || board.isSolved()) return;
+  stopTimer();
+  setPaused(true);
+  updateTimer();
+  saveState();
+  if (!auto) showStatus('Paused');
+}
+
+function resumeGame() {
+  if (!paused) return;
+  setPaused(false);
+  startTimer(elapsedBeforeStart);
+  saveState();
+}
+
+function togglePause() {
+  if (paused) {
+    resumeGame();
+  } else {
+    pauseGame();
+  }
+}
+
+function autoPause() {
+  if (userSettings.autoPause === false) return;
+  pauseGame({ auto: true });
+}
+
 function updateTimer() {
   const hours = Math.floor(secondsElapsed / 3600);
   const minutes = Math.floor((secondsElapsed % 3600) / 60);
@@ -644,6 +1297,10 @@ function applySettings(next = userSettings) {
   if (highlightsSetting) highlightsSetting.checked = !!userSettings.highlights;
   if (autoNotesSetting) autoNotesSetting.checked = !!userSettings.autoNotes;
   if (conflictSetting) conflictSetting.checked = !!userSettings.conflictHighlight;
+  if (autoPauseSetting) autoPauseSetting.checked = !!userSettings.autoPause;
+  if (paintStyleSetting) paintStyleSetting.value = userSettings.paintStyle;
+  if (liveCandidatesSetting) liveCandidatesSetting.checked = !!userSettings.liveCandidates;
+  if (basicEliminationsSetting) basicEliminationsSetting.checked = !!userSettings.basicEliminations;
   refreshGrid();
 }
 
@@ -651,29 +1308,138 @@ function renderSettingsUI() {
   applySettings(userSettings);
 }
 
+// The dashboard is computed from the per-game history, not the running totals.
 function renderStats() {
-  if (!statsContainer) return;
-  const diffs = ['easy', 'medium', 'hard', 'expert'];
-  const makeRow = (label, data) => {
-    const winRate = data.played ? Math.round((data.wins / data.played) * 100) : 0;
-    const avgTime = data.wins ? data.totalTime / data.wins : null;
+  if (!statsContainer || !statsModal?.classList.contains('show')) return;
+  const summary = summarizeHistory(historyRecords, {
+    difficulty: statsDifficulty?.value || 'all',
+    size: statsSize?.value === 'all' ? 'all' : Number(statsSize?.value || 9),
+    variant: statsVariant?.value || 'all'
+  });
+  const { dailyStreak, winStreak, solveTimes } = summary;
+  const line = (label, value) => `<div class="stat-line"><span>${label}</span><strong>${value}</strong></div>`;
+  const card = (title, body) => `<div class="stat-card"><div class="stat-label">${title}</div>${body}</div>`;
+  const chartCard = (title, chart) => `<div class="stat-card chart-card"><div class="stat-label">${title}</div>${chart}</div>`;
+  const shortDate = (date) => new Date(date).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+  const progression = summary.bestProgression.map((p, i, all) => ({
+    label: i === 0 || i === all.length - 1 ? shortDate(p.date) : '',
+    value: p.elapsed
+  }));
+  const errors = summary.errorTrend.map((w, i, all) => ({
+    label: i === 0 || i === all.length - 1 ? shortDate(w.week) : '',
+    value: w.value
+  }));
+  const hours = summary.hourCounts.map((value, hour) => ({ label: String(hour), value }));
+
+  statsContainer.innerHTML = [
+    card(
+      'Streaks',
+      line('Daily streak', `${dailyStreak.current} (best ${dailyStreak.best})`) +
+        line('Win streak', `${winStreak.current} (best ${winStreak.best})`) +
+        line('Games', summary.played) +
+        line('Wins', `${summary.wins} (${Math.round(summary.winRate * 100)}%)`) +
+        line('Losses', summary.losses)
+    ),
+    card(
+      'Solve times',
+      line('Best', formatTime(solveTimes.best)) +
+        line('Median', formatTime(solveTimes.median)) +
+        line('25th percentile', formatTime(solveTimes.p25)) +
+        line('75th percentile', formatTime(solveTimes.p75)) +
+        line('90th percentile', formatTime(solveTimes.p90))
+    ),
+    chartCard('Personal best', lineChart(progression, { formatValue: formatTime, emptyText: 'Win a game to start' })),
+    chartCard('Errors per game by week', lineChart(errors, { formatValue: (v) => v.toFixed(1) })),
+    chartCard('Time of day', barChart(hours, { labelEvery: 6 }))
+  ].join('');
+}
+
+function formatDay(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date).toLocaleDateString([], { dateStyle: 'medium' });
+}
+
+function openDailyModal() {
+  if (!dailyModal) return;
+  closeNewGameModal();
+  const today = new Date();
+  dailyMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+  if (dailyDifficulty) dailyDifficulty.value = difficultySelect.value;
+  renderDailyCalendar();
+  dailyModal.classList.add('show');
+}
+
+function closeDailyModal() {
+  dailyModal?.classList.remove('show');
+}
+
+function shiftDailyMonth(offset) {
+  dailyMonth = new Date(dailyMonth.getFullYear(), dailyMonth.getMonth() + offset, 1);
+  renderDailyCalendar();
+}
+
+function renderDailyCalendar() {
+  if (!dailyCalendar || !dailyMonth) return;
+  const difficulty = dailyDifficulty?.value || 'medium';
+  const today = dateKey(new Date());
+  const streak = dayStreak(Object.keys(dailyResults).filter((day) => Object.keys(dailyResults[day]).length));
+  if (dailyStreakEl) {
+    dailyStreakEl.textContent = `Streak: ${streak.current} ${streak.current === 1 ? 'day' : 'days'} · Best: ${streak.best}`;
+  }
+  if (dailyMonthEl) {
+    dailyMonthEl.textContent = dailyMonth.toLocaleDateString([], { month: 'long', year: 'numeric' });
+  }
+  const now = new Date();
+  if (dailyNextBtn) {
+    dailyNextBtn.disabled =
+      dailyMonth.getFullYear() === now.getFullYear() && dailyMonth.getMonth() === now.getMonth();
+  }
+  const year = dailyMonth.getFullYear();
+  const month = dailyMonth.getMonth();
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  // Weeks start on Monday.
+  const offset = (dailyMonth.getDay() + 6) % 7;
+  const headers = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'].map((d) => `<div class="daily-weekday">${d}</div>`);
+  const blanks = Array.from({ length: offset }, () => '<div></div>');
+  const days = Array.from({ length: daysInMonth }, (_, i) => {
+    const day = dateKey(new Date(year, month, i + 1));
+    const result = dailyResults[day]?.[difficulty];
+    const classes = ['daily-day', result ? 'solved' : '', day === today ? 'today' : ''].filter(Boolean).join(' ');
     return `
-      <div class="stat-card">
-        <div class="stat-label">${label}</div>
-        <div class="stat-line"><span>Games</span><strong>${data.played}</strong></div>
-        <div class="stat-line"><span>Wins</span><strong>${data.wins} (${winRate || 0}%)</strong></div>
-        <div class="stat-line"><span>Avg time</span><strong>${formatTime(avgTime)}</strong></div>
-        <div class="stat-line"><span>Best time</span><strong>${formatTime(data.bestTime)}</strong></div>
-        <div class="stat-line"><span>Errors</span><strong>${data.errors}</strong></div>
-      </div>
+      <button class="${classes}" data-day="${day}" ${day > today ? 'disabled' : ''}>
+        <span>${i + 1}</span>
+        <small>${result ? formatTime(result.elapsed) : ''}</small>
+      </button>
     `;
-  };
-  const overall = stats.overall || createDefaultStats().overall;
-  const cards = [
-    makeRow('Overall', overall),
-    ...diffs.map((d) => makeRow(d.charAt(0).toUpperCase() + d.slice(1), stats.difficulties?.[d] || createDefaultStats().difficulties[d]))
-  ];
-  statsContainer.innerHTML = cards.join('');
+  });
+  dailyCalendar.innerHTML = [...headers, ...blanks, ...days].join('');
+}
+
+function playDaily(day = dateKey(new Date())) {
+  const difficulty = dailyDifficulty?.value || difficultySelect.value;
+  difficultySelect.value = difficulty;
+  closeDailyModal();
+  startGame(() => generatePuzzleAsync(difficulty, dailySeed(day)), null, day);
+}
+
+async function openStatsModal() {
+  if (!statsModal) return;
+  // Solve times only compare within a grid size and variant; start from
+  // the ones in play.
+  if (statsSize && board) statsSize.value = String(board.digits);
+  if (statsVariant && board) statsVariant.value = board.variant || 'classic';
+  statsModal.classList.add('show');
+  try {
+    historyRecords = await listHistory();
+  } catch (e) {
+    console.error('Failed to load game history', e);
+  }
+  renderStats();
+}
+
+function closeStatsModal() {
+  statsModal?.classList.remove('show');
 }
 
 function preventPinchGestureZoom() {
@@ -701,9 +1467,115 @@ function attachEvents() {
   document.addEventListener('pointerdown', handleClickAway, { passive: true });
   newGameBtn.addEventListener('click', openNewGameModal);
   startNewBtn.addEventListener('click', startNewFromModal);
+  playPuzzleBtn?.addEventListener('click', playPuzzleFromModal);
+  puzzleIdInput?.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') playPuzzleFromModal();
+  });
+  importBtn?.addEventListener('click', openImportModal);
+  savedGamesBtn?.addEventListener('click', openSavedGamesModal);
+  closeSavedGamesBtn?.addEventListener('click', closeSavedGamesModal);
+  savedGamesList?.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const { action, slot } = btn.dataset;
+    if (action === 'resume') resumeSavedGame(slot);
+    if (action === 'duplicate') duplicateSavedGame(slot);
+    if (action === 'delete') deleteSavedGame(slot);
+  });
+  [historyDifficulty, historyOutcome, historySort].forEach((select) =>
+    select?.addEventListener('change', renderHistory)
+  );
+  historyList?.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-history-id]');
+    if (btn) replayHistoryPuzzle(btn.dataset.historyId);
+    const replayBtn = e.target.closest('button[data-replay-id]');
+    if (replayBtn) openReplay(historyRecords.find((record) => record.id === replayBtn.dataset.replayId));
+  });
+  savedGamesModal?.addEventListener('click', (e) => {
+    if (e.target === savedGamesModal) {
+      closeSavedGamesModal();
+    }
+  });
+  cancelImportBtn?.addEventListener('click', closeImportModal);
+  confirmImportBtn?.addEventListener('click', importFromModal);
+  importFileBtn?.addEventListener('click', () => importFileInput?.click());
+  importFileInput?.addEventListener('change', async () => {
+    const file = importFileInput.files?.[0];
+    if (!file) return;
+    importText.value = await file.text();
+    importFileInput.value = '';
+    updateImportPicker();
+  });
+  importText?.addEventListener('input', updateImportPicker);
+  importModal?.addEventListener('keydown', (e) => e.stopPropagation());
+  timelineEl?.addEventListener('click', (e) => {
+    const dot = e.target.closest('[data-node]');
+    if (dot) jumpToMove(Number(dot.dataset.node));
+  });
+  checkpointForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    addCheckpoint(checkpointName.value);
+    checkpointName.value = '';
+    checkpointName.blur();
+  });
+  checkpointForm?.addEventListener('keydown', (e) => e.stopPropagation());
+  exportBtn?.addEventListener('click', openExportModal);
+  cancelExportBtn?.addEventListener('click', closeExportModal);
+  exportOptions.forEach((btn) => btn.addEventListener('click', () => exportGame(btn.dataset.format)));
+  exportModal?.addEventListener('click', (e) => {
+    if (e.target === exportModal) {
+      closeExportModal();
+    }
+  });
+  importModal?.addEventListener('click', (e) => {
+    if (e.target === importModal) {
+      closeImportModal();
+    }
+  });
   restartBtn.addEventListener('click', restartPuzzle);
   cancelModalBtn.addEventListener('click', closeNewGameModal);
   settingsBtn.addEventListener('click', openSettingsModal);
+  statsBtn?.addEventListener('click', openStatsModal);
+  dailyBtn?.addEventListener('click', openDailyModal);
+  closeDailyBtn?.addEventListener('click', closeDailyModal);
+  playDailyBtn?.addEventListener('click', () => playDaily());
+  dailyPrevBtn?.addEventListener('click', () => shiftDailyMonth(-1));
+  dailyNextBtn?.addEventListener('click', () => shiftDailyMonth(1));
+  dailyDifficulty?.addEventListener('change', renderDailyCalendar);
+  dailyCalendar?.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-day]');
+    if (btn && !btn.disabled) playDaily(btn.dataset.day);
+  });
+  dailyModal?.addEventListener('click', (e) => {
+    if (e.target === dailyModal) {
+      closeDailyModal();
+    }
+  });
+  closeStatsBtn?.addEventListener('click', closeStatsModal);
+  statsDifficulty?.addEventListener('change', renderStats);
+  statsSize?.addEventListener('change', renderStats);
+  statsVariant?.addEventListener('change', renderStats);
+  zoomControls?.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-zoom]');
+    if (!btn) return;
+    const step = { in: GRID_ZOOM_STEP, out: -GRID_ZOOM_STEP, reset: 0 }[btn.dataset.zoom];
+    setGridZoom(step ? gridZoom + step : 1);
+  });
+  gridScroller?.addEventListener(
+    'wheel',
+    (e) => {
+      if (!e.ctrlKey || !gridScroller.classList.contains('zoomable')) return;
+      e.preventDefault();
+      setGridZoom(gridZoom + (e.deltaY < 0 ? GRID_ZOOM_STEP : -GRID_ZOOM_STEP));
+    },
+    { passive: false }
+  );
+  statsModal?.addEventListener('click', (e) => {
+    if (e.target === statsModal) {
+      closeStatsModal();
+    }
+  });
   modal?.addEventListener('click', (e) => {
     if (e.target === modal) {
       closeNewGameModal();
@@ -712,17 +1584,60 @@ function attachEvents() {
   numberButtons.forEach((btn) => btn.addEventListener('click', () => selectNumber(btn)));
   undoBtn.addEventListener('click', undoMove);
   redoBtn.addEventListener('click', redoMove);
+  hintBtn?.addEventListener('click', showHint);
+  colorSwatches.forEach((btn) => btn.addEventListener('click', () => paintSelection(Number(btn.dataset.color))));
+  clearColorsBtn?.addEventListener('click', clearAllColors);
+  fillCandidatesBtn?.addEventListener('click', fillAllCandidates);
+  checkBoardBtn?.addEventListener('click', checkBoard);
+  revealCellBtn?.addEventListener('click', revealSelectedCells);
+  revealSolutionBtn?.addEventListener('click', revealSolution);
+  pauseBtn?.addEventListener('click', togglePause);
+  resumeBtn?.addEventListener('click', resumeGame);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') autoPause();
+  });
+  window.addEventListener('blur', autoPause);
+  window.api?.onSystemIdle?.(autoPause);
   document.getElementById('closeCompleteBtn')?.addEventListener('click', closeCompletionModal);
+  document.getElementById('closeGameOverBtn')?.addEventListener('click', closeGameOverModal);
+  document.getElementById('restartFromGameOverBtn')?.addEventListener('click', () => {
+    closeGameOverModal();
+    restartPuzzle();
+  });
+  document.getElementById('newFromGameOverBtn')?.addEventListener('click', () => {
+    closeGameOverModal();
+    openNewGameModal();
+  });
   document.getElementById('newFromCompleteBtn')?.addEventListener('click', () => {
     closeCompletionModal();
     openNewGameModal();
   });
+  document.getElementById('replayFromCompleteBtn')?.addEventListener('click', () => {
+    closeCompletionModal();
+    openReplay(historyRecord(buildGameState(), 'won'));
+  });
+  replayPlayBtn?.addEventListener('click', toggleReplayPlayback);
+  replayScrub?.addEventListener('input', () => {
+    pauseReplay();
+    seekReplayView(Number(replayScrub.value));
+  });
+  replaySpeed?.addEventListener('change', () => {
+    if (replayView) replayView.speed = Number(replaySpeed.value) || 1;
+  });
+  document.getElementById('exportReplayBtn')?.addEventListener('click', exportReplay);
+  document.getElementById('closeReplayBtn')?.addEventListener('click', closeReplay);
+  replayModal?.addEventListener('click', (e) => {
+    if (e.target === replayModal) closeReplay();
+  });
   const completeModal = document.getElementById('completeModal');
   completeModal?.addEventListener('click', (e) => {
     if (e.target === completeModal) {
       closeCompletionModal();
     }
   });
+  noteLayerButtons.forEach((btn) =>
+    btn.addEventListener('click', () => setNoteLayer(btn.dataset.layer, { announce: true }))
+  );
   notesToggle.addEventListener('change', () => {
     setNotesMode(!notesToggle.checked, { announce: true });
   });
@@ -736,14 +1651,34 @@ function attachEvents() {
       closeSettingsModal();
     }
   });
-  [highlightsSetting, autoNotesSetting, conflictSetting].forEach((input) => {
+  [
+    highlightsSetting,
+    autoNotesSetting,
+    conflictSetting,
+    autoPauseSetting,
+    paintStyleSetting,
+    liveCandidatesSetting,
+    basicEliminationsSetting
+  ].forEach((input) => {
     input?.addEventListener('change', () => {
       userSettings = {
         ...userSettings,
         highlights: highlightsSetting?.checked ?? userSettings.highlights,
         autoNotes: autoNotesSetting?.checked ?? userSettings.autoNotes,
-        conflictHighlight: conflictSetting?.checked ?? userSettings.conflictHighlight
+        conflictHighlight: conflictSetting?.checked ?? userSettings.conflictHighlight,
+        autoPause: autoPauseSetting?.checked ?? userSettings.autoPause,
+        paintStyle: paintStyleSetting?.value || userSettings.paintStyle,
+        liveCandidates: liveCandidatesSetting?.checked ?? userSettings.liveCandidates,
+        basicEliminations: basicEliminationsSetting?.checked ?? userSettings.basicEliminations
       };
+      // Turning live candidates on, or changing what they eliminate, marks
+      // the board at once as one undo step.
+      const candidateSetting = input === liveCandidatesSetting || input === basicEliminationsSetting;
+      if (candidateSetting && board && userSettings.liveCandidates) {
+        const before = beginMove();
+        syncCandidates();
+        commitMove(before);
+      }
       applySettings(userSettings);
       saveState();
     });
@@ -768,9 +1703,26 @@ function attachEvents() {
     });
   });
   difficultySelect.addEventListener('change', persistPreferences);
+  sizeSelect?.addEventListener('change', () => {
+    syncVariantChoice();
+    persistPreferences();
+  });
 }
 
-async function newGame() {
+function newGame(seed = randomSeed()) {
+  const difficulty = difficultySelect.value;
+  const variant = variantSelect?.value || 'classic';
+  const size = Number(sizeSelect?.value) || 9;
+  // The id is the seed, so "Medium #48213" recreates this exact grid.
+  return startGame(() => generatePuzzleAsync(difficulty, seed, variant, size), seed, null, variant);
+}
+
+/**
+ * Deals a fresh game from whatever loadPuzzle resolves to
+ * ({ puzzle, solution, grade, rules }) at the selected difficulty.
+ * daily is the "YYYY-MM-DD" day when this is that day's daily puzzle.
+ */
+async function startGame(loadPuzzle, id = null, daily = null, variant = 'classic') {
   if (dealing || loadingGame) return;
   const loadStart = performance.now();
   setLoadingGame(true);
@@ -779,27 +1731,41 @@ async function newGame() {
   const difficulty = difficultySelect.value;
   let nextPuzzle = null;
   try {
-    const { puzzle, solution } = await generatePuzzleAsync(difficulty);
+    const { puzzle, solution, grade, rules } = await loadPuzzle();
+    const next = new SudokuBoard(puzzle, solution, rules || null);
+    next.variant = variant;
+    next.id = id;
+    next.slotId = createSlotId();
+    next.daily = daily;
+    next.grade = grade || null;
+    next.mistakeMode = mistakeModeSelect?.value || 'conflicts';
+    next.lost = false;
+    next.assisted = false;
+    // Put the game in play away only once its replacement is ready.
+    await parkCurrentGame();
     nextPuzzle = puzzle;
-    board = new SudokuBoard(puzzle, solution);
-    board.id = Math.floor(10000 + Math.random() * 90000);
-    recordGameStart(difficulty);
+    board = next;
+    if (countsTowardStats()) recordGameStart(difficulty);
+    syncGridLayout();
     selected = null;
+    selection = new Set();
     setNotesMode(false, { save: false });
     setActiveNumber(null, true);
     clearReveals();
     gridEl.classList.add('dealing');
     stopTimer();
+    setPaused(false);
     secondsElapsed = 0;
     updateTimer();
     completedDigits = new Set();
-    gameStats = { errors: 0, moves: 0 };
+    gameStats = createGameStats();
     conflictCache = new Set();
     lastHint = null;
-    undoStack.length = 0;
-    redoStack.length = 0;
+    moves = new MoveTree();
+    replaySteps = [];
     refreshGrid();
-    updateGameMeta({ difficulty, id: board.id });
+    updateGameMeta({ difficulty, variant, id: board.id, daily });
+    beginHistory();
     saveState();
     renderStats();
   } catch (e) {
@@ -826,23 +1792,65 @@ async function newGame() {
   }
 }
 
-function handleCellClick(row, col) {
-  if (dealing) return;
+function cellKey(row, col) {
+  return `${row},${col}`;
+}
+
+// The cells a digit or a clear applies to: the whole multi-cell selection,
+// or else just the selected cell.
+function selectedCells() {
+  if (!selected) return [];
+  if (!selection.has(cellKey(selected.row, selected.col))) return [selected];
+  return Array.from(selection, (key) => {
+    const [row, col] = key.split(',').map(Number);
+    return { row, col };
+  });
+}
+
+function showSelection(previousSelected) {
+  highlightSelection(cells, selected, board, activeNumber, userSettings.highlights !== false, previousSelected);
+  markSelection(cells, selection);
+  renderCagePanel();
+}
+
+// Adds a cell to the selection (or takes it out again on a repeated
+// shift/ctrl-click) without placing anything.
+function extendSelection(row, col, toggle) {
+  if (selected && !selection.has(cellKey(selected.row, selected.col))) {
+    selection = new Set([cellKey(selected.row, selected.col)]);
+  }
+  const key = cellKey(row, col);
+  if (toggle && selection.has(key) && selection.size > 1) {
+    selection.delete(key);
+    const last = Array.from(selection).pop().split(',').map(Number);
+    selected = { row: last[0], col: last[1] };
+    return;
+  }
+  selection.add(key);
+  selected = { row, col };
+}
+
+function handleCellClick(row, col, { additive = false, dragging = false } = {}) {
+  if (dealing || paused || board?.lost) return;
   pendingNumberClear = false;
   const previousSelected = selected ? { ...selected } : null;
+  if (additive) {
+    extendSelection(row, col, !dragging);
+    showSelection(previousSelected);
+    return;
+  }
   selected = { row, col };
-  highlightSelection(cells, selected, board, activeNumber, userSettings.highlights !== false, previousSelected);
-  lastHint = null;
-  const val = board?.getValue(row, col) || 0;
+  selection = new Set([cellKey(row, col)]);
+  showSelection(previousSelected);
   if (!board || board.isGiven(row, col)) return;
   if (notesMode) {
     if (!activeNumber) return;
-    const prev = snapshotBoard();
-    board.toggleNote(row, col, activeNumber);
+    const before = beginMove();
+    board.toggleNote(row, col, activeNumber, noteLayer);
     gameStats.moves += 1;
-    pushUndo(prev);
+    commitMove(before);
   } else if (activeNumber) {
-    const prev = snapshotBoard();
+    const before = beginMove();
     const current = board.getValue(row, col);
     if (current === activeNumber) {
       board.clearValue(row, col);
@@ -852,12 +1860,17 @@ function handleCellClick(row, col) {
       if (userSettings.autoNotes !== false) {
         board.clearNotesInPeers(row, col, activeNumber);
       }
+      if (activeNumber !== board.solution[row][col]) {
+        gameStats.errors += 1;
+      }
     }
-    pushUndo(prev);
+    syncCandidates();
+    commitMove(before);
   }
   const conflicts = userSettings.conflictHighlight === false ? new Set() : board.computeConflicts();
   refreshGrid(conflicts);
   saveState();
+  if (checkMistakeLimit()) return;
   checkComplete();
 }
 
@@ -870,15 +1883,21 @@ function handleClickAway(e) {
     e.target.closest('.toggle-row') ||
     e.target.closest('.theme-switch') ||
     e.target.closest('.number-pad') ||
-    e.target.closest('.num-btn')
+    e.target.closest('.color-palette') ||
+    e.target.closest('.assist-row') ||
+    e.target.closest('.timeline-panel') ||
+    e.target.closest('.num-btn') ||
+    e.target.closest('.zoom-controls') ||
+    e.target.closest('.grid-scroller.zoomable')
   ) {
     return;
   }
   if (selected) {
     const previousSelected = { ...selected };
     selected = null;
+    selection = new Set();
     pendingNumberClear = activeNumber !== null;
-    highlightSelection(cells, selected, board, activeNumber, userSettings.highlights !== false, previousSelected);
+    showSelection(previousSelected);
     return;
   }
   if (activeNumber !== null) {
@@ -891,9 +1910,14 @@ function handleClickAway(e) {
 }
 
 function selectNumber(button) {
-  if (dealing) return;
+  if (dealing || paused || board?.lost) return;
   pendingNumberClear = false;
   const val = parseInt(button.dataset.val, 10);
+  // With several cells picked the pad types into them, as the keyboard does.
+  if (selectedCells().length > 1) {
+    setValue(val);
+    return;
+  }
   if (completedDigits.has(val)) {
     setActiveNumber(null, false, true);
     return;
@@ -912,6 +1936,7 @@ function setActiveNumber(val, skipSave = false, clearSelection = false) {
   }
   if (clearSelection) {
     selected = null;
+    selection = new Set();
   }
   activeNumber = val;
   numberButtons.forEach((btn) => {
@@ -924,14 +1949,16 @@ function setActiveNumber(val, skipSave = false, clearSelection = false) {
 }
 
 function undoMove() {
-  if (!board || undoStack.length === 0) {
+  if (paused || board?.lost) return;
+  if (!board || !moves.canUndo()) {
     showStatus('Nothing to undo');
     return;
   }
   lastHint = null;
-  const prev = undoStack.pop();
-  redoStack.push(snapshotBoard());
-  restoreBoard(prev);
+  const move = moves.undo();
+  board.applyChanges(move.changes, true);
+  recordStep(invertChanges(move.changes));
+  restoreContext(move.before);
   const conflicts = userSettings.conflictHighlight === false ? new Set() : board.computeConflicts();
   refreshGrid(conflicts);
   saveState();
@@ -939,33 +1966,102 @@ function undoMove() {
 }
 
 function redoMove() {
-  if (!board || redoStack.length === 0) {
+  if (paused || board?.lost) return;
+  if (!board || !moves.canRedo()) {
     showStatus('Nothing to redo');
     return;
   }
   lastHint = null;
-  const next = redoStack.pop();
-  undoStack.push(snapshotBoard());
-  restoreBoard(next);
+  const move = moves.redo();
+  board.applyChanges(move.changes);
+  recordStep(move.changes);
+  restoreContext(move.after);
   const conflicts = userSettings.conflictHighlight === false ? new Set() : board.computeConflicts();
   refreshGrid(conflicts);
   saveState();
   showStatus('Redo');
 }
 
+// Goes to any point in the move tree, on any branch: back to where the two
+// lines part, then forward along the other one.
+function jumpToMove(id, label = null) {
+  if (paused || board?.lost || !board) return;
+  if (id === moves.current) return;
+  lastHint = null;
+  const { undo, redo } = moves.jump(id);
+  undo.forEach((move) => board.applyChanges(move.changes, true));
+  redo.forEach((move) => board.applyChanges(move.changes));
+  recordStep([...undo.flatMap((move) => invertChanges(move.changes)), ...redo.flatMap((move) => move.changes)]);
+  const last = redo.length ? redo[redo.length - 1].after : undo[undo.length - 1]?.before;
+  if (last) restoreContext(last);
+  const conflicts = userSettings.conflictHighlight === false ? new Set() : board.computeConflicts();
+  refreshGrid(conflicts);
+  saveState();
+  showStatus(label ? `Back to ${label}` : `Move ${moves.lineTo(id).length - 1}`);
+}
+
+// Names the current point in the game so it can be rolled back to.
+function addCheckpoint(name) {
+  if (!board || board.lost) return;
+  const label = name.trim() || `Checkpoint ${moves.checkpoints().length + 1}`;
+  moves.setLabel(moves.current, label);
+  renderTimeline();
+  saveState();
+  showStatus(`Checkpoint saved: ${label}`);
+}
+
+function renderTimeline() {
+  if (!timelineEl || !board) return;
+  timelinePanel.hidden = false;
+  timelineEl.innerHTML = timelineSvg(moves);
+  const current = timelineEl.querySelector('.timeline-dot.current');
+  if (current) {
+    const x = Number(current.getAttribute('cx'));
+    timelineEl.scrollLeft = Math.max(0, x - timelineEl.clientWidth / 2);
+  }
+  checkpointList.innerHTML = '';
+  moves.checkpoints().forEach((checkpoint) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'checkpoint-chip';
+    btn.classList.toggle('current', checkpoint.id === moves.current);
+    btn.textContent = checkpoint.label;
+    btn.title = `Move ${checkpoint.depth}`;
+    btn.addEventListener('click', () => jumpToMove(checkpoint.id, checkpoint.label));
+    checkpointList.appendChild(btn);
+  });
+}
+
 function handleKeyDown(e) {
   if (dealing) return;
-  if (!board) return;
+  if (!board || board.lost) return;
+  if (e.key.toLowerCase() === 'p') {
+    togglePause();
+    return;
+  }
+  if (paused) return;
   pendingNumberClear = false;
   if (!selected) selected = { row: 0, col: 0 };
   const key = e.key;
   if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(key)) {
     e.preventDefault();
-    moveSelection(key);
+    moveSelection(key, e.shiftKey);
     return;
   }
-  if (key >= '1' && key <= '9') {
-    setValue(parseInt(key, 10));
+  if (key === 'Escape' && selection.size > 1) {
+    selection = new Set([cellKey(selected.row, selected.col)]);
+    showSelection(null);
+    return;
+  }
+  // 1-9, then A-G on grids past 9x9 (see symbolFor). Shift writes a corner
+  // mark and ctrl/cmd a center mark; shifted digits type symbols, so those
+  // are read from the physical key.
+  const layer = e.shiftKey ? 'corner' : e.ctrlKey || e.metaKey ? 'center' : null;
+  const typed = layer ? (e.code || '').replace(/^(Digit|Numpad|Key)/, '') : key;
+  const digit = Array.from({ length: board.digits }, (_, i) => symbolFor(i + 1)).indexOf(typed.toUpperCase()) + 1;
+  if (digit) {
+    e.preventDefault();
+    setValue(digit, layer);
     return;
   }
   if (key === 'Backspace' || key === 'Delete' || key === '0') {
@@ -974,9 +2070,12 @@ function handleKeyDown(e) {
   if (key.toLowerCase() === 'n') {
     setNotesMode(!notesMode, { announce: true });
   }
+  if (key.toLowerCase() === 'h') {
+    showHint();
+  }
 }
 
-function moveSelection(key) {
+function moveSelection(key, extend = false) {
   const delta = {
     ArrowUp: [-1, 0],
     ArrowDown: [1, 0],
@@ -984,64 +2083,318 @@ function moveSelection(key) {
     ArrowRight: [0, 1]
   }[key];
   const previousSelected = selected ? { ...selected } : null;
-  selected = {
-    row: Math.min(8, Math.max(0, selected.row + delta[0])),
-    col: Math.min(8, Math.max(0, selected.col + delta[1]))
-  };
-  highlightSelection(cells, selected, board, activeNumber, userSettings.highlights !== false, previousSelected);
+  // Jumps over the gaps between Samurai grids; stays put at the edge.
+  let { row, col } = selected;
+  do {
+    row += delta[0];
+    col += delta[1];
+  } while (row >= 0 && row < board.size && col >= 0 && col < board.size && !board.inPlay(row, col));
+  if (row < 0 || row >= board.size || col < 0 || col >= board.size) return;
+  if (extend) {
+    extendSelection(row, col, false);
+  } else {
+    selected = { row, col };
+    selection = new Set([cellKey(row, col)]);
+  }
+  revealCell(row, col);
+  showSelection(previousSelected);
 }
 
-function setValue(val) {
+/**
+ * Types a digit into every selected cell as one undo step: a value, or a
+ * pencil mark in `layer` ('center' or 'corner'), which notes mode picks
+ * when no layer is given. A digit every cell already has is taken out of
+ * all of them instead.
+ */
+function setValue(val, layer = notesMode ? noteLayer : null) {
   if (completedDigits.has(val)) {
     setActiveNumber(null, true);
     return;
   }
-  if (!board || !selected || board.isGiven(selected.row, selected.col)) return;
+  if (!board) return;
+  const targets = selectedCells().filter(({ row, col }) => !board.isGiven(row, col));
+  const open = targets.filter(({ row, col }) => !board.getValue(row, col));
+  if (!targets.length || (layer && !open.length)) return;
   lastHint = null;
-  if (notesMode) {
-    const prev = snapshotBoard();
-    board.toggleNote(selected.row, selected.col, val);
-    gameStats.moves += 1;
-    pushUndo(prev);
+  const before = beginMove();
+  if (layer) {
+    const on = !open.every(({ row, col }) => board.hasNote(row, col, val, layer));
+    open.forEach(({ row, col }) => board.setNote(row, col, val, on, layer));
   } else {
-    const prev = snapshotBoard();
-    const current = board.getValue(selected.row, selected.col);
-    if (current === val) {
-      board.clearValue(selected.row, selected.col);
-      board.clearNotes(selected.row, selected.col);
-    } else {
-      board.setValue(selected.row, selected.col, val);
+    const clear = targets.every(({ row, col }) => board.getValue(row, col) === val);
+    targets.forEach(({ row, col }) => {
+      if (clear) {
+        board.clearValue(row, col);
+        return;
+      }
+      if (board.getValue(row, col) === val) return;
+      board.setValue(row, col, val);
       if (userSettings.autoNotes !== false) {
-        board.clearNotesInPeers(selected.row, selected.col, val);
+        board.clearNotesInPeers(row, col, val);
       }
-      if (val !== board.solution[selected.row][selected.col]) {
+      if (val !== board.solution[row][col]) {
         gameStats.errors += 1;
       }
-    }
-    gameStats.moves += 1;
-    pushUndo(prev);
+    });
+    syncCandidates();
   }
+  gameStats.moves += 1;
+  commitMove(before);
   const conflicts = userSettings.conflictHighlight === false ? new Set() : board.computeConflicts();
   refreshGrid(conflicts);
   saveState();
+  if (checkMistakeLimit()) return;
   checkComplete();
 }
 
+/**
+ * Each press discloses one more level of the current hint: the region to
+ * look at, then the technique and its cells, then the placement or
+ * eliminations. A fresh hint is looked up once the board changes.
+ */
+function showHint() {
+  if (!board || dealing || paused || board.lost || board.isSolved()) return;
+  if (lastHint && lastHint.level >= HINT_LEVELS) {
+    showStatus('Hint fully shown');
+    return;
+  }
+  const step = lastHint?.step || board.findHint();
+  if (!step) {
+    showStatus('No logical step found');
+    return;
+  }
+  const level = lastHint ? lastHint.level + 1 : 1;
+  recordHintUsed(difficultySelect.value || 'medium', level);
+  // Once its eliminations are shown, the next hint takes them as done.
+  if (level === HINT_LEVELS) board.applyHintEliminations(step);
+  refreshGrid(null, { step, level });
+  persistStats();
+  saveState();
+}
+
+function renderHintPanel(hint) {
+  if (!hintPanel) return;
+  hintPanel.hidden = !hint;
+  if (!hint) return;
+  hintPanelTitle.textContent = `Hint ${hint.level}/${HINT_LEVELS}`;
+  hintPanelText.textContent = describeHint(hint.step, hint.level);
+}
+
+function cellName({ row, col }) {
+  return `R${row + 1}C${col + 1}`;
+}
+
+function joinWords(words) {
+  if (words.length <= 1) return words.join('');
+  return `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`;
+}
+
+function describeHint(step, level) {
+  const houseNames = { row: 'row', col: 'column', box: 'box', diagonal: 'diagonal', window: 'window' };
+  // Samurai houses count within their grid (see compileRules).
+  const houseName = ({ type, index }) =>
+    board.rules?.samurai
+      ? `${houseNames[type]} ${(index % 9) + 1} of the ${SAMURAI_GRID_NAMES[Math.floor(index / 9)]} grid`
+      : `${houseNames[type]} ${index + 1}`;
+  const parts = [
+    step.houses.length
+      ? `Look at ${joinWords(step.houses.map(houseName))}.`
+      : 'Look at the highlighted area.'
+  ];
+  if (level >= 2) {
+    if (step.technique === 'mistake') {
+      parts.push('Some of your entries are wrong.');
+    } else {
+      const name = TECHNIQUES.find((technique) => technique.id === step.technique)?.name || step.technique;
+      const digits = step.digits.length ? ` on ${joinWords(step.digits.map(String))}` : '';
+      parts.push(`Use a ${name}${digits}.`);
+    }
+  }
+  if (level >= 3) {
+    if (step.placements.length) {
+      parts.push(
+        `Place ${joinWords(step.placements.map((p) => `${p.value} in ${cellName(p)}`))}.`
+      );
+    }
+    const byValue = new Map();
+    step.eliminations.forEach((e) => {
+      if (!byValue.has(e.value)) byValue.set(e.value, []);
+      byValue.get(e.value).push(cellName(e));
+    });
+    byValue.forEach((names, value) => {
+      parts.push(`Remove ${value} from ${joinWords(names)}.`);
+    });
+  }
+  return parts.join(' ');
+}
+
 function clearSelectedCell() {
-  if (!board || !selected || board.isGiven(selected.row, selected.col)) return;
+  if (!board) return;
+  const targets = selectedCells().filter(({ row, col }) => !board.isGiven(row, col));
+  if (!targets.length) return;
   lastHint = null;
-  const prev = snapshotBoard();
-  board.clearValue(selected.row, selected.col);
-  board.clearNotes(selected.row, selected.col);
+  const before = beginMove();
+  targets.forEach(({ row, col }) => board.clearValue(row, col));
+  syncCandidates();
   gameStats.moves += 1;
-  pushUndo(prev);
+  commitMove(before);
   const conflicts = userSettings.conflictHighlight === false ? new Set() : board.computeConflicts();
   refreshGrid(conflicts);
   saveState();
 }
 
+// Live candidates recompute the center marks after every placement. Call
+// it between beginMove and commitMove so the move and its marks undo as
+// one step.
+function syncCandidates() {
+  if (!userSettings.liveCandidates) return;
+  board.refreshCandidates({ basic: !!userSettings.basicEliminations });
+}
+
+function fillAllCandidates() {
+  if (!board || dealing || paused || board.lost || board.isSolved()) return;
+  lastHint = null;
+  const before = beginMove();
+  board.fillCandidates({ basic: !!userSettings.basicEliminations });
+  gameStats.moves += 1;
+  commitMove(before);
+  refreshGrid();
+  saveState();
+  showStatus('Candidates filled');
+}
+
+// Checking or revealing marks the game as assisted: it can still be won,
+// but its time never counts as a best (see recordGameEnd).
+function markAssisted() {
+  board.assisted = true;
+}
+
+/**
+ * Flags the wrong digits on the board once, for a moment; nothing stays
+ * marked afterwards.
+ */
+function checkBoard() {
+  if (!board || dealing || paused || board.lost || board.isSolved()) return;
+  markAssisted();
+  const wrong = board.mismatchedCells();
+  cells.flat().forEach((cell) => cell.classList.remove('check-wrong'));
+  wrong.forEach((key) => {
+    const [row, col] = key.split(',').map(Number);
+    cells[row][col].classList.add('check-wrong');
+  });
+  if (checkTimer) clearTimeout(checkTimer);
+  checkTimer = window.setTimeout(() => {
+    cells.flat().forEach((cell) => cell.classList.remove('check-wrong'));
+    checkTimer = null;
+  }, CHECK_FLASH_MS);
+  showStatus(wrong.size ? `${wrong.size} wrong ${wrong.size === 1 ? 'entry' : 'entries'}` : 'No mistakes so far');
+  saveState();
+}
+
+// Fills the selected cells from the solution as one undo step.
+function revealSelectedCells() {
+  if (!board || dealing || paused || board.lost) return;
+  if (!selected) {
+    showStatus('Select a cell to reveal');
+    return;
+  }
+  const targets = selectedCells().filter(
+    ({ row, col }) => !board.isGiven(row, col) && board.getValue(row, col) !== board.solution[row][col]
+  );
+  if (!targets.length) return;
+  markAssisted();
+  lastHint = null;
+  const before = beginMove();
+  targets.forEach(({ row, col }) => {
+    const value = board.solution[row][col];
+    board.setValue(row, col, value);
+    if (userSettings.autoNotes !== false) {
+      board.clearNotesInPeers(row, col, value);
+    }
+  });
+  syncCandidates();
+  gameStats.moves += 1;
+  commitMove(before);
+  refreshGrid();
+  saveState();
+  checkComplete();
+}
+
+/**
+ * Gives up: the game counts as a loss and the missing or wrong digits
+ * are filled in one after another.
+ */
+function revealSolution() {
+  if (!board || dealing || paused || board.lost || board.isSolved()) return;
+  if (!window.confirm('Reveal the solution? This game will count as a loss.')) return;
+  markAssisted();
+  loseGame();
+  lastHint = null;
+  setActiveNumber(null, true, true);
+  const remaining = [];
+  for (let r = 0; r < board.size; r++) {
+    for (let c = 0; c < board.size; c++) {
+      if (board.inPlay(r, c) && board.getValue(r, c) !== board.solution[r][c]) remaining.push({ row: r, col: c });
+    }
+  }
+  const finish = () => {
+    dealing = false;
+    refreshGrid();
+    saveState();
+    showStatus('Solution revealed');
+  };
+  if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+    remaining.forEach(({ row, col }) => board.setValue(row, col, board.solution[row][col]));
+    finish();
+    return;
+  }
+  dealing = true;
+  const stagger = Math.max(8, Math.min(40, Math.floor(1200 / remaining.length)));
+  remaining.forEach(({ row, col }, idx) => {
+    setTimeout(() => {
+      board.setValue(row, col, board.solution[row][col]);
+      cells[row][col].classList.add('solution-reveal');
+      refreshGrid();
+      if (idx === remaining.length - 1) finish();
+    }, idx * stagger);
+  });
+}
+
+/**
+ * Paints a palette color on every selected cell as one undo step, or takes
+ * it off again when they all have it. Coloring is not a move.
+ */
+function paintSelection(color) {
+  if (!board || dealing || paused || board.lost) return;
+  const targets = selectedCells();
+  if (!targets.length) {
+    showStatus('Select cells to color');
+    return;
+  }
+  const before = beginMove();
+  const on = !targets.every(({ row, col }) => board.hasColor(row, col, color));
+  targets.forEach(({ row, col }) => board.setColor(row, col, color, on));
+  commitMove(before);
+  refreshGrid(null, lastHint);
+  saveState();
+}
+
+function clearAllColors() {
+  if (!board || dealing || paused || board.lost) return;
+  if (!board.hasColors()) {
+    showStatus('No colors to clear');
+    return;
+  }
+  const before = beginMove();
+  board.clearColors();
+  commitMove(before);
+  refreshGrid(null, lastHint);
+  saveState();
+  showStatus('Colors cleared');
+}
+
 function clearReveals() {
-  cells.flat().forEach((cell) => cell.classList.remove('revealed'));
+  cells.flat().forEach((cell) => cell.classList.remove('revealed', 'solution-reveal'));
   conflictCache = new Set();
 }
 
@@ -1060,8 +2413,82 @@ function closeNewGameModal() {
 function openSettingsModal() {
   if (!settingsModal) return;
   renderSettingsUI();
-  renderStats();
   settingsModal.classList.add('show');
+  loadHistoryView();
+}
+
+async function loadHistoryView() {
+  try {
+    historyRecords = await listHistory();
+  } catch (e) {
+    console.error('Failed to load game history', e);
+    historyRecords = [];
+  }
+  renderHistory();
+}
+
+function renderHistory() {
+  if (!historyList) return;
+  const difficulty = historyDifficulty?.value || 'all';
+  const outcome = historyOutcome?.value || 'all';
+  const sorter = HISTORY_SORTERS[historySort?.value] || HISTORY_SORTERS.newest;
+  const rows = historyRecords
+    .filter((record) => difficulty === 'all' || record.difficulty === difficulty)
+    .filter((record) => outcome === 'all' || record.outcome === outcome)
+    .sort(sorter);
+  if (!rows.length) {
+    historyList.innerHTML = '<div class="history-empty">No games match.</div>';
+    return;
+  }
+  historyList.innerHTML = rows
+    .map((record) => {
+      const diffLabel = gameLabel(record.variant, record.difficulty || 'medium', record.size);
+      const started = new Date(record.startedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+      return `
+        <div class="history-row">
+          <div class="history-info">
+            <strong>${diffLabel}${record.puzzleId ? ` #${record.puzzleId}` : ''}</strong>
+            <span>${started}</span>
+            <span>${formatTime(record.elapsed)} · ${record.errors} errors · ${record.moves} moves · ${record.hints} hints</span>
+          </div>
+          <span class="history-outcome ${record.outcome}">${HISTORY_OUTCOMES[record.outcome] || record.outcome}</span>
+          ${record.replay ? `<button class="ghost" data-replay-id="${record.id}">Replay</button>` : ''}
+          <button class="ghost" data-history-id="${record.id}">Play</button>
+        </div>
+      `;
+    })
+    .join('');
+}
+
+// Starts a fresh attempt at a puzzle from the history, rebuilt from its givens.
+function replayHistoryPuzzle(historyId) {
+  const record = historyRecords.find((entry) => entry.id === historyId);
+  const puzzle = record?.givens ? parseGivens(record.givens, record.rules ? gridSize(record.rules) : record.size || 9) : null;
+  const result = puzzle ? solveHistoryPuzzle(puzzle, record.rules) : null;
+  if (!result?.valid) {
+    showStatus('This puzzle could not be reopened');
+    return;
+  }
+  closeSettingsModal();
+  difficultySelect.value = record.difficulty || 'medium';
+  startGame(
+    () => ({
+      puzzle: result.puzzle,
+      solution: result.solution,
+      grade: record.rules ? null : gradePuzzle(result.puzzle),
+      rules: record.rules || null
+    }),
+    record.puzzleId || null,
+    record.daily || null,
+    record.variant || 'classic'
+  );
+}
+
+// Variant givens alone rarely pin down a classic solution, so solve them under their rules.
+function solveHistoryPuzzle(puzzle, rules) {
+  if (!rules) return validateImportedPuzzle(puzzle);
+  const solution = puzzle.map((row) => [...row]);
+  return solveBoard(solution, false, null, rules) ? { valid: true, puzzle, solution } : { valid: false };
 }
 
 function closeSettingsModal() {
@@ -1074,21 +2501,376 @@ function startNewFromModal() {
   newGame();
 }
 
+function playPuzzleFromModal() {
+  const raw = (puzzleIdInput?.value || '').trim().replace(/^#/, '');
+  if (!/^\d{1,9}$/.test(raw)) {
+    showStatus('Enter a puzzle number, e.g. 48213');
+    puzzleIdInput?.focus();
+    return;
+  }
+  const chosen = difficultyRadios.find((r) => r.checked)?.value || 'medium';
+  difficultySelect.value = chosen;
+  puzzleIdInput.value = '';
+  newGame(Number(raw));
+}
+
+function openImportModal() {
+  if (!importModal) return;
+  closeNewGameModal();
+  importText.value = '';
+  updateImportPicker();
+  importModal.classList.add('show');
+  importText.focus();
+}
+
+function closeImportModal() {
+  importModal?.classList.remove('show');
+}
+
+function showImportError(message) {
+  importError.textContent = message || '';
+}
+
+// Lists the puzzles of a multi-puzzle file so one can be picked.
+function updateImportPicker() {
+  const parsed = parsePuzzles(importText.value);
+  const count = parsed.valid ? parsed.puzzles.length : 0;
+  importPick.hidden = count < 2;
+  importPick.innerHTML = Array.from({ length: count }, (_, i) => `<option value="${i}">Puzzle ${i + 1}</option>`).join('');
+  showImportError('');
+}
+
+function importFromModal() {
+  if (importText.value.trim().startsWith('{')) {
+    importGameFile(importText.value);
+    return;
+  }
+  const parsed = parsePuzzles(importText.value);
+  if (!parsed.valid) {
+    showImportError(parsed.message);
+    return;
+  }
+  const chosen = parsed.puzzles[Number(importPick.value) || 0];
+  const result = validateImportedPuzzle(chosen);
+  if (!result.valid) {
+    showImportError(result.message);
+    return;
+  }
+  const grade = gradePuzzle(result.puzzle);
+  // Puzzles that need guessing are beyond every tier; file them as expert.
+  difficultySelect.value = grade.tier || 'expert';
+  closeImportModal();
+  startGame(() => ({ puzzle: result.puzzle, solution: result.solution, grade }));
+  showStatus('Puzzle imported');
+}
+
+// Resumes a game exported as JSON, pencil marks and time included.
+async function importGameFile(text) {
+  const parsed = parseGameFile(text);
+  if (!parsed.valid) {
+    showImportError(parsed.message);
+    return;
+  }
+  // A fresh slot and history entry, so importing the same file twice gives two games.
+  const state = {
+    ...parsed.state,
+    meta: { ...(parsed.state.meta || {}), slotId: createSlotId(), historyId: null, startedAt: null }
+  };
+  // The game in play is only put away once the file is known to open.
+  const next = boardFromState(state);
+  if (!next) {
+    showImportError('This game file could not be opened.');
+    return;
+  }
+  await parkCurrentGame();
+  if (!restoreGameState(state, next)) {
+    showImportError('This game file could not be opened.');
+    return;
+  }
+  if (countsTowardStats()) recordGameStart(difficultySelect.value);
+  closeImportModal();
+  saveState();
+  renderStats();
+  showStatus('Game imported');
+}
+
+async function openSavedGamesModal() {
+  if (!savedGamesModal) return;
+  closeNewGameModal();
+  savedGamesModal.classList.add('show');
+  await renderSavedGames();
+}
+
+function closeSavedGamesModal() {
+  savedGamesModal?.classList.remove('show');
+}
+
+async function renderSavedGames() {
+  let games = [];
+  try {
+    games = await listSavedGames();
+  } catch (e) {
+    console.error('Failed to list saved games', e);
+  }
+  if (!games.length) {
+    savedGamesList.innerHTML = '<div class="saved-empty">No saved games yet. Unfinished games are kept here when you start another.</div>';
+    return;
+  }
+  savedGamesList.innerHTML = games
+    .map((game) => {
+      const diffLabel = gameLabel(game.variant, game.difficulty || 'medium', game.size);
+      const played = new Date(game.lastPlayed).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+      return `
+        <div class="saved-game">
+          <div class="saved-game-info">
+            <strong>${diffLabel}${game.id ? ` #${game.id}` : ''}</strong>
+            <span>${game.progress}% · ${formatTime(game.elapsed)} · ${played}</span>
+          </div>
+          <div class="saved-game-actions">
+            <button class="primary" data-action="resume" data-slot="${game.slotId}">Resume</button>
+            <button class="ghost" data-action="duplicate" data-slot="${game.slotId}">Duplicate</button>
+            <button class="ghost" data-action="delete" data-slot="${game.slotId}">Delete</button>
+          </div>
+        </div>
+      `;
+    })
+    .join('');
+}
+
+async function resumeSavedGame(slotId) {
+  if (dealing || loadingGame) return;
+  const entry = await getSavedGame(slotId);
+  if (!entry?.state) {
+    showStatus('Saved game not found');
+    renderSavedGames();
+    return;
+  }
+  const next = boardFromState(entry.state);
+  if (!next) {
+    showStatus('Saved game could not be opened');
+    return;
+  }
+  await parkCurrentGame();
+  if (!restoreGameState(entry.state, next)) {
+    showStatus('Saved game could not be opened');
+    return;
+  }
+  await removeSavedGame(slotId);
+  closeSavedGamesModal();
+  saveState();
+  showStatus('Game resumed');
+}
+
+async function duplicateSavedGame(slotId) {
+  const entry = await getSavedGame(slotId);
+  if (!entry?.state) return;
+  const newSlot = createSlotId();
+  // The copy is a separate attempt and starts its own history entry when resumed.
+  const state = { ...entry.state, meta: { ...entry.state.meta, slotId: newSlot, historyId: null, startedAt: null } };
+  await storeSavedGame({ summary: { ...entry.summary, slotId: newSlot, lastPlayed: new Date().toISOString() }, state });
+  renderSavedGames();
+}
+
+async function deleteSavedGame(slotId) {
+  const entry = await getSavedGame(slotId);
+  if (entry?.state?.meta?.historyId) {
+    await storeHistoryRecord(historyRecord(entry.state, 'abandoned'));
+  }
+  await removeSavedGame(slotId);
+  renderSavedGames();
+}
+
+function openExportModal() {
+  if (!board) {
+    showStatus('No game to export');
+    return;
+  }
+  // Plain-text and printed puzzles have no way to show variant rules; a
+  // grid size alone is fine.
+  const hasVariantRules = !!board.rules && Object.keys(board.rules).some((key) => key !== 'size');
+  exportOptions.forEach((btn) => {
+    btn.disabled = hasVariantRules && btn.dataset.format !== 'json';
+  });
+  exportModal?.classList.add('show');
+}
+
+function closeExportModal() {
+  exportModal?.classList.remove('show');
+}
+
+async function exportGame(format) {
+  if (!board) return;
+  closeExportModal();
+  const state = buildGameState();
+  const diff = state.difficulty || 'medium';
+  const diffLabel = diff.charAt(0).toUpperCase() + diff.slice(1);
+  const fileName = `not-sudoku-${diff}-${board.id || 'puzzle'}`;
+  const title = board.id ? `Not Sudoku · ${diffLabel} #${board.id}` : `Not Sudoku · ${diffLabel}`;
+  const content = {
+    txt: () => `${formatGivens(board.puzzle)}\n`,
+    json: () => formatGameFile(state),
+    pdf: () => formatPrintableHtml(board.puzzle, title)
+  }[format]();
+  try {
+    if (await saveExport(format, fileName, content)) showStatus('Game exported');
+  } catch (e) {
+    console.error('Failed to export game', e);
+    showStatus('Export failed');
+  }
+}
+
+// Resolves true once the desktop app has written the file. Without the
+// desktop bridge the browser downloads it instead (the PDF as printable
+// HTML) and shows its own progress.
+async function saveExport(format, fileName, content) {
+  if (window.api?.exportGame) {
+    const result = await window.api.exportGame({ format, fileName, content });
+    return !!result?.saved;
+  }
+  const ext = { pdf: 'html', replay: 'json' }[format] || format;
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+  link.download = `${fileName}.${ext}`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  return false;
+}
+
+/**
+ * Opens the replay of a finished game (a history record) on a read-only
+ * grid of its own, starting from the givens and playing the recorded
+ * steps on the game's clock at the chosen speed.
+ */
+function openReplay(record) {
+  const size = record?.rules ? gridSize(record.rules) : record?.size || 9;
+  const puzzle = record?.givens ? parseGivens(record.givens, size) : null;
+  const solution = record?.replay ? parseGivens(record.replay.solution, size) : null;
+  if (!puzzle || !solution) {
+    showStatus('No replay for this game');
+    return;
+  }
+  const steps = record.replay.steps || [];
+  const replayBoard = new SudokuBoard(puzzle, solution, record.rules || null);
+  replayView = {
+    record,
+    board: replayBoard,
+    cells: createGrid(replayGrid, () => {}, replayBoard.rules),
+    steps,
+    shown: 0,
+    clock: 0,
+    duration: Math.max((record.elapsed || 0) * 1000, steps.length ? steps[steps.length - 1].at : 0),
+    speed: Number(replaySpeed?.value) || 1,
+    timer: null
+  };
+  const label = gameLabel(record.variant, record.difficulty || 'medium', record.size);
+  replayTitle.textContent = `${label}${record.puzzleId ? ` #${record.puzzleId}` : ''} · ${steps.length} steps`;
+  replayScrub.max = replayView.duration;
+  replayModal?.classList.add('show');
+  seekReplayView(0);
+}
+
+function closeReplay() {
+  pauseReplay();
+  replayView = null;
+  replayModal?.classList.remove('show');
+}
+
+function seekReplayView(at) {
+  if (!replayView) return;
+  const view = replayView;
+  view.clock = Math.max(0, Math.min(at, view.duration));
+  view.shown = seekReplay(view.board, view.steps, view.shown, view.clock);
+  updateGrid(
+    view.cells,
+    view.board,
+    null,
+    new Set(view.board.computeConflicts()),
+    null,
+    new Set(),
+    new Set(),
+    null,
+    false,
+    userSettings.paintStyle
+  );
+  replayScrub.value = view.clock;
+  replayTime.textContent = `${formatTime(view.clock / 1000)} / ${formatTime(view.duration / 1000)}`;
+}
+
+function playReplay() {
+  if (!replayView || replayView.timer) return;
+  if (replayView.clock >= replayView.duration) seekReplayView(0);
+  let last = performance.now();
+  replayView.timer = setInterval(() => {
+    const now = performance.now();
+    seekReplayView(replayView.clock + (now - last) * replayView.speed);
+    last = now;
+    if (replayView.clock >= replayView.duration) pauseReplay();
+  }, REPLAY_TICK_MS);
+  replayPlayBtn.textContent = 'Pause';
+}
+
+function pauseReplay() {
+  if (!replayView?.timer) return;
+  clearInterval(replayView.timer);
+  replayView.timer = null;
+  replayPlayBtn.textContent = 'Play';
+}
+
+function toggleReplayPlayback() {
+  if (replayView?.timer) {
+    pauseReplay();
+  } else {
+    playReplay();
+  }
+}
+
+async function exportReplay() {
+  if (!replayView) return;
+  const { record } = replayView;
+  const content = formatReplayFile({
+    puzzleId: record.puzzleId || null,
+    difficulty: record.difficulty || null,
+    variant: record.variant || 'classic',
+    size: record.size || 9,
+    rules: record.rules || null,
+    givens: record.givens,
+    solution: record.replay.solution,
+    startedAt: record.startedAt || null,
+    elapsed: record.elapsed || 0,
+    outcome: record.outcome,
+    steps: replayView.steps
+  });
+  try {
+    if (await saveExport('replay', `not-sudoku-replay-${record.puzzleId || 'game'}`, content)) {
+      showStatus('Replay exported');
+    }
+  } catch (e) {
+    console.error('Failed to export replay', e);
+    showStatus('Export failed');
+  }
+}
+
 function restartPuzzle() {
   if (!board) {
     closeNewGameModal();
     return;
   }
   stopTimer();
+  if (!board.lost) logGame('restarted');
+  board.lost = false;
+  board.assisted = false;
+  setPaused(false);
   secondsElapsed = 0;
   updateTimer();
   board.resetToPuzzle();
   selected = null;
+  selection = new Set();
   completedDigits = new Set();
-  gameStats = { errors: 0, moves: 0 };
-  undoStack.length = 0;
-  redoStack.length = 0;
+  gameStats = createGameStats();
+  moves = new MoveTree();
+  replaySteps = [];
   lastHint = null;
+  beginHistory();
   refreshGrid();
   document.body.classList.add('dealing-active', 'in-game');
   document.body.classList.remove('timer-ready');
@@ -1107,13 +2889,18 @@ function restartPuzzle() {
 
 function clearBoardChanges() {
   if (!board) return;
+  if (!board.lost) logGame('restarted');
+  board.lost = false;
+  board.assisted = false;
   lastHint = null;
   board.resetToPuzzle();
   selected = null;
+  selection = new Set();
   completedDigits = new Set();
-  gameStats = { errors: 0, moves: 0 };
-  undoStack.length = 0;
-  redoStack.length = 0;
+  gameStats = createGameStats();
+  moves = new MoveTree();
+  replaySteps = [];
+  beginHistory();
   conflictCache = new Set();
   setActiveNumber(null, true, true);
   refreshGrid();
@@ -1121,11 +2908,44 @@ function clearBoardChanges() {
   showStatus('Board cleared');
 }
 
+/**
+ * Ends a hardcore game at its third mistake: the board stays on screen
+ * but takes no more input, and the game counts as a loss. Returns true
+ * when the game just ended.
+ */
+function checkMistakeLimit() {
+  if (board.mistakeMode !== 'hardcore' || board.lost || gameStats.errors < MISTAKE_LIMIT) return false;
+  loseGame();
+  gameOverModal?.classList.add('show');
+  showStatus('Game over');
+  return true;
+}
+
+// A lost game, by mistakes or by giving up, stays on screen but takes no
+// more input until it is restarted.
+function loseGame() {
+  board.lost = true;
+  stopTimer();
+  if (!board.daily && countsTowardStats()) recordGameLoss(difficultySelect.value || 'medium');
+  logGame('lost');
+  persistStats();
+  saveState();
+}
+
+function closeGameOverModal() {
+  gameOverModal?.classList.remove('show');
+}
+
 function checkComplete() {
   if (board.isSolved()) {
     stopTimer();
     const diff = difficultySelect.value || 'medium';
-    recordGameEnd(diff, secondsElapsed, gameStats.errors);
+    if (board.daily) {
+      recordDailyResult(board.daily, diff, secondsElapsed, gameStats.errors);
+    } else if (countsTowardStats()) {
+      recordGameEnd(diff, secondsElapsed, gameStats.errors, board.assisted);
+    }
+    logGame('won');
     renderStats();
     if (solvedCountEl) {
         solvedCountEl.textContent = stats.solved ?? stats.overall?.wins ?? 0;
@@ -1156,8 +2976,8 @@ function showStatus(message) {
 
 function runDealAnimation(puzzle, onComplete) {
   const givens = [];
-  for (let r = 0; r < 9; r++) {
-    for (let c = 0; c < 9; c++) {
+  for (let r = 0; r < puzzle.length; r++) {
+    for (let c = 0; c < puzzle.length; c++) {
       const val = puzzle[r][c];
       if (val !== 0) givens.push({ row: r, col: c, val });
     }
@@ -1200,7 +3020,7 @@ function runDealAnimation(puzzle, onComplete) {
       const tRect = targetCell.getBoundingClientRect();
       const chip = document.createElement('div');
       chip.className = 'deal-chip';
-      chip.textContent = val;
+      chip.textContent = symbolFor(val);
       chip.style.left = `${sRect.left + sRect.width / 2 - 18}px`;
       chip.style.top = `${sRect.top + sRect.height / 2 - 18}px`;
       chip.style.transition = `left 0.22s ease, top 0.22s ease, opacity 0.22s ease`;
@@ -1377,13 +3197,9 @@ function setupDraggableToggle(inputEl, labelEl, onChange) {
 }
 
 function runWinSweepAnimation(done) {
-  const order = [];
-  for (let r = 0; r < 9; r++) {
-    for (let c = 0; c < 9; c++) {
-      order.push(cells[r][c]);
-    }
-  }
-  const delay = 30;
+  const order = cells.flat();
+  // The sweep takes as long on every grid size.
+  const delay = (30 * 81) / order.length;
   order.forEach((cell, idx) => {
     setTimeout(() => cell.classList.add('win-highlight'), idx * delay);
   });
@@ -1,15 +1,40 @@
+import { compileRules, digitCount, dotHolds, gridSize } from './rules.js';
+import { createCandidates, findLogicalStep } from './solver.js';
+
+// Techniques whose eliminations refreshCandidates may apply on its own;
+// they only ever remove candidates, never place a digit.
+const BASIC_ELIMINATIONS = ['naked-pair', 'hidden-pair', 'pointing-pair', 'box-line-reduction'];
+
 /**
  * SudokuBoard tracks current puzzle state, givens, notes and conflicts.
+ * Notes come in two layers: `notes` holds the center marks (candidate
+ * lists) and `cornerNotes` the corner marks; methods taking a `layer`
+ * ('center' or 'corner') default to the center marks. `colors` holds the
+ * palette colors painted on each cell, in the order they were added, and
+ * `eliminated` the center marks the player took out by hand, which
+ * refreshCandidates leaves out. `hinted` holds the candidates that fully
+ * shown hints ruled out, so the next hint builds on them.
+ * rules holds variant rules such as Killer cages or extra constraints
+ * (see rules.js); size is the side of the grid, 9 unless the rules say so,
+ * and digits how many digits it uses (see digitCount).
+ * Edits made between beginMove() and endMove() are recorded cell by cell
+ * so that undo and redo can replay them (see applyChanges).
  */
 export class SudokuBoard {
-  constructor(puzzle, solution) {
+  constructor(puzzle, solution, rules = null) {
+    this.rules = rules;
+    this.size = gridSize(rules);
+    this.digits = digitCount(rules);
     this.puzzle = puzzle.map((row) => [...row]);
     this.grid = puzzle.map((row) => [...row]);
     this.solution = solution.map((row) => [...row]);
     this.givens = puzzle.map((row) => row.map((v) => v !== 0));
-    this.notes = Array.from({ length: 9 }, () =>
-      Array.from({ length: 9 }, () => new Set())
-    );
+    this.notes = emptyNotes(this.size);
+    this.cornerNotes = emptyNotes(this.size);
+    this.colors = emptyColors(this.size);
+    this.eliminated = emptyNotes(this.size);
+    this.hinted = emptyNotes(this.size);
+    this.journal = null;
   }
 
   isGiven(row, col) {
@@ -21,111 +46,281 @@ export class SudokuBoard {
   }
 
   setValue(row, col, value) {
+    this.remember(row, col);
     this.grid[row][col] = value;
-    this.notes[row][col].clear();
+    this.clearNotes(row, col);
   }
 
   clearValue(row, col) {
+    this.remember(row, col);
     this.grid[row][col] = 0;
-    this.notes[row][col].clear();
+    this.clearNotes(row, col);
+  }
+
+  notesOf(layer = 'center') {
+    return layer === 'corner' ? this.cornerNotes : this.notes;
+  }
+
+  hasNote(row, col, value, layer = 'center') {
+    return this.notesOf(layer)[row][col].has(value);
+  }
+
+  toggleNote(row, col, value, layer = 'center') {
+    this.setNote(row, col, value, !this.hasNote(row, col, value, layer), layer);
   }
 
-  toggleNote(row, col, value) {
+  setNote(row, col, value, on, layer = 'center') {
     if (this.grid[row][col] !== 0) return;
-    const noteSet = this.notes[row][col];
-    if (noteSet.has(value)) {
-      noteSet.delete(value);
-    } else {
+    this.remember(row, col);
+    const noteSet = this.notesOf(layer)[row][col];
+    if (on) {
       noteSet.add(value);
+    } else {
+      noteSet.delete(value);
+    }
+    if (layer === 'center') {
+      if (on) {
+        this.eliminated[row][col].delete(value);
+      } else {
+        this.eliminated[row][col].add(value);
+      }
     }
   }
 
-  clearNotes(row, col) {
-    this.notes[row][col].clear();
+  /**
+   * Writes every digit still open to each empty cell into its center
+   * marks, starting over: earlier eliminations by hand are forgotten.
+   * With `basic`, eliminations from basic techniques are applied too.
+   */
+  fillCandidates({ basic = false } = {}) {
+    this.rememberAll();
+    this.eliminated = emptyNotes(this.size);
+    this.refreshCandidates({ basic });
   }
 
-  clearNotesInPeers(row, col, value) {
-    if (!value) return;
-    // Clear in the same row and column
-    for (let c = 0; c < 9; c++) {
-      if (c !== col && this.grid[row][c] === 0) {
-        this.notes[row][c].delete(value);
+  /**
+   * Recomputes the center marks from the digits placed so far, leaving
+   * out the ones the player eliminated by hand; with `basic`, also the
+   * ones that pairs, pointing and box/line reductions rule out.
+   */
+  refreshCandidates({ basic = false } = {}) {
+    this.rememberAll();
+    for (let r = 0; r < this.size; r++) {
+      for (let c = 0; c < this.size; c++) {
+        const open = this.availableCandidates(r, c).filter((v) => !this.eliminated[r][c].has(v));
+        this.notes[r][c] = new Set(open);
       }
     }
-    for (let r = 0; r < 9; r++) {
-      if (r !== row && this.grid[r][col] === 0) {
-        this.notes[r][col].delete(value);
-      }
+    if (!basic) return;
+    const options = { techniques: BASIC_ELIMINATIONS, rules: this.rules };
+    let step = findLogicalStep(this.grid, this.notes, options);
+    while (step) {
+      step.eliminations.forEach(({ row, col, value }) => this.notes[row][col].delete(value));
+      step = findLogicalStep(this.grid, this.notes, options);
     }
-    const startRow = Math.floor(row / 3) * 3;
-    const startCol = Math.floor(col / 3) * 3;
-    for (let r = startRow; r < startRow + 3; r++) {
-      for (let c = startCol; c < startCol + 3; c++) {
-        if ((r !== row || c !== col) && this.grid[r][c] === 0) {
-          this.notes[r][c].delete(value);
-        }
-      }
+  }
+
+  clearNotes(row, col) {
+    this.remember(row, col);
+    this.notes[row][col].clear();
+    this.cornerNotes[row][col].clear();
+  }
+
+  hasColor(row, col, color) {
+    return this.colors[row][col].includes(color);
+  }
+
+  setColor(row, col, color, on) {
+    this.remember(row, col);
+    const list = this.colors[row][col];
+    if (on && !list.includes(color)) {
+      list.push(color);
+    } else if (!on) {
+      this.colors[row][col] = list.filter((c) => c !== color);
     }
   }
 
-  rowValues(row) {
-    return this.grid[row];
+  hasColors() {
+    return this.colors.some((row) => row.some((list) => list.length));
   }
 
-  colValues(col) {
-    return this.grid.map((r) => r[col]);
+  clearColors() {
+    this.rememberAll();
+    this.colors = emptyColors(this.size);
   }
 
-  boxValues(row, col) {
-    const startRow = Math.floor(row / 3) * 3;
-    const startCol = Math.floor(col / 3) * 3;
-    const vals = [];
-    for (let r = startRow; r < startRow + 3; r++) {
-      for (let c = startCol; c < startCol + 3; c++) {
-        vals.push(this.grid[r][c]);
-      }
+  /**
+   * Starts recording a move: each cell is remembered as it was before the
+   * move first touched it.
+   */
+  beginMove() {
+    this.journal = new Map();
+  }
+
+  /**
+   * Ends the move and returns what it changed, as [cell, before, after]
+   * for each cell that differs (cell is row * size + col; before and
+   * after as cellState gives them). Empty when nothing changed.
+   */
+  endMove() {
+    const journal = this.journal;
+    this.journal = null;
+    const changes = [];
+    journal?.forEach((before, cell) => {
+      const after = this.cellState(cell);
+      if (JSON.stringify(after) !== JSON.stringify(before)) changes.push([cell, before, after]);
+    });
+    return changes;
+  }
+
+  /**
+   * Puts the cells of a move back as they were (`undo`) or as the move
+   * left them.
+   */
+  applyChanges(changes, undo = false) {
+    changes.forEach(([cell, before, after]) => {
+      const [value, center, corner, colors, eliminated] = undo ? before : after;
+      const row = Math.floor(cell / this.size);
+      const col = cell % this.size;
+      this.grid[row][col] = value;
+      this.notes[row][col] = new Set(center);
+      this.cornerNotes[row][col] = new Set(corner);
+      this.colors[row][col] = [...colors];
+      this.eliminated[row][col] = new Set(eliminated);
+    });
+  }
+
+  // One cell as plain data: [value, center marks, corner marks, colors,
+  // hand eliminations].
+  cellState(cell) {
+    const row = Math.floor(cell / this.size);
+    const col = cell % this.size;
+    return [
+      this.grid[row][col],
+      [...this.notes[row][col]],
+      [...this.cornerNotes[row][col]],
+      [...this.colors[row][col]],
+      [...this.eliminated[row][col]]
+    ];
+  }
+
+  remember(row, col) {
+    const cell = row * this.size + col;
+    if (this.journal && !this.journal.has(cell)) this.journal.set(cell, this.cellState(cell));
+  }
+
+  rememberAll() {
+    if (!this.journal) return;
+    for (let r = 0; r < this.size; r++) {
+      for (let c = 0; c < this.size; c++) this.remember(r, c);
     }
-    return vals;
+  }
+
+  /**
+   * False for the cells between the grids of the Samurai layout, which
+   * never hold a digit.
+   */
+  inPlay(row, col) {
+    return compileRules(this.rules).inPlay[row * this.size + col];
+  }
+
+  /**
+   * Cells that may not share a digit with (row, col) under this puzzle's
+   * rules: row, column and box, plus whatever the variant adds.
+   */
+  peersOf(row, col) {
+    const { size } = this;
+    return compileRules(this.rules).peers[row * size + col].map((cell) => [Math.floor(cell / size), cell % size]);
+  }
+
+  clearNotesInPeers(row, col, value) {
+    if (!value) return;
+    this.peersOf(row, col).forEach(([r, c]) => {
+      if (this.grid[r][c] === 0) {
+        this.remember(r, c);
+        this.notes[r][c].delete(value);
+        this.cornerNotes[r][c].delete(value);
+      }
+    });
   }
 
   isValidPlacement(row, col, value) {
     if (value === 0) return true;
-    for (let c = 0; c < 9; c++) {
-      if (c !== col && this.grid[row][c] === value) return false;
-    }
-    for (let r = 0; r < 9; r++) {
-      if (r !== row && this.grid[r][col] === value) return false;
-    }
-    const startRow = Math.floor(row / 3) * 3;
-    const startCol = Math.floor(col / 3) * 3;
-    for (let r = startRow; r < startRow + 3; r++) {
-      for (let c = startCol; c < startCol + 3; c++) {
-        if (r === row && c === col) continue;
-        if (this.grid[r][c] === value) return false;
-      }
-    }
-    return true;
+    return this.peersOf(row, col).every(([r, c]) => this.grid[r][c] !== value);
   }
 
   computeConflicts() {
     const conflicts = new Set();
-    for (let r = 0; r < 9; r++) {
-      for (let c = 0; c < 9; c++) {
+    for (let r = 0; r < this.size; r++) {
+      for (let c = 0; c < this.size; c++) {
         const val = this.grid[r][c];
         if (val === 0) continue;
-        // Only flag conflicts when Sudoku rules are broken (duplicate in row/col/box).
+        // Only flag conflicts when Sudoku rules are broken (duplicate among peers).
         if (!this.isValidPlacement(r, c, val)) {
           conflicts.add(`${r},${c}`);
         }
       }
     }
+    this.cageConflicts().forEach((key) => conflicts.add(key));
+    this.overlayConflicts().forEach((key) => conflicts.add(key));
+    return conflicts;
+  }
+
+  /**
+   * Cells of Killer cages that repeat a digit, overshoot their sum, or are
+   * full with the wrong sum.
+   */
+  cageConflicts() {
+    const conflicts = new Set();
+    if (!this.rules?.cages) return conflicts;
+    compileRules(this.rules).cages.forEach(({ sum, cells }) => {
+      const filled = cells.map((cell) => [Math.floor(cell / this.size), cell % this.size]).filter(([r, c]) => this.grid[r][c]);
+      const total = filled.reduce((acc, [r, c]) => acc + this.grid[r][c], 0);
+      const broken = total > sum || (filled.length === cells.length && total !== sum);
+      filled.forEach(([r, c]) => {
+        const repeated = filled.some(([r2, c2]) => (r2 !== r || c2 !== c) && this.grid[r2][c2] === this.grid[r][c]);
+        if (broken || repeated) conflicts.add(`${r},${c}`);
+      });
+    });
+    return conflicts;
+  }
+
+  /**
+   * Filled cells of broken thermometers (a digit not above one nearer the
+   * bulb), arrows (the cells add up past the circle, or to another number
+   * once full) and Kropki dots whose two digits do not fit the dot.
+   */
+  overlayConflicts() {
+    const conflicts = new Set();
+    if (!this.rules?.thermos && !this.rules?.arrows && !this.rules?.dots) return conflicts;
+    const { thermos, arrows, dots } = compileRules(this.rules);
+    const value = (cell) => this.grid[Math.floor(cell / this.size)][cell % this.size];
+    const flag = (cells) =>
+      cells.forEach((cell) => value(cell) && conflicts.add(`${Math.floor(cell / this.size)},${cell % this.size}`));
+
+    thermos.forEach((thermo) =>
+      thermo.forEach((cell, i) =>
+        thermo.slice(i + 1).forEach((later) => {
+          if (value(cell) && value(later) && value(later) <= value(cell)) flag([cell, later]);
+        })
+      )
+    );
+    arrows.forEach(({ circle, cells }) => {
+      const total = cells.reduce((acc, cell) => acc + value(cell), 0);
+      const open = cells.filter((cell) => !value(cell)).length;
+      const limit = value(circle) || this.digits;
+      if (total + open > limit || (!open && value(circle) && total !== value(circle))) flag([circle, ...cells]);
+    });
+    dots.forEach(({ type, cells: [a, b] }) => {
+      if (value(a) && value(b) && !dotHolds(type, value(a), value(b))) flag([a, b]);
+    });
     return conflicts;
   }
 
   mismatchedCells() {
     const wrong = new Set();
-    for (let r = 0; r < 9; r++) {
-      for (let c = 0; c < 9; c++) {
+    for (let r = 0; r < this.size; r++) {
+      for (let c = 0; c < this.size; c++) {
         const val = this.grid[r][c];
         if (val !== 0 && val !== this.solution[r][c]) {
           wrong.add(`${r},${c}`);
@@ -136,42 +331,82 @@ export class SudokuBoard {
   }
 
   availableCandidates(row, col) {
-    if (this.grid[row][col] !== 0) return [];
-    const used = new Set([
-      ...this.rowValues(row),
-      ...this.colValues(col),
-      ...this.boxValues(row, col)
-    ].filter((v) => v !== 0));
+    if (this.grid[row][col] !== 0 || !this.inPlay(row, col)) return [];
+    const used = new Set(this.peersOf(row, col).map(([r, c]) => this.grid[r][c]));
     const candidates = [];
-    for (let v = 1; v <= 9; v++) {
+    for (let v = 1; v <= this.digits; v++) {
       if (!used.has(v)) candidates.push(v);
     }
     return candidates;
   }
 
+  /**
+   * Returns the next logical step from the current grid (see findLogicalStep),
+   * or a 'mistake' step pointing at wrong entries, since no deduction is
+   * sound while they remain. Returns null when no known technique applies.
+   */
   findHint() {
-    for (let r = 0; r < 9; r++) {
-      for (let c = 0; c < 9; c++) {
-        if (this.grid[r][c] !== 0) continue;
-        const candidates = this.availableCandidates(r, c);
-        if (candidates.length === 1) {
-          return { row: r, col: c, value: candidates[0] };
-        }
-      }
+    const wrong = [...this.mismatchedCells()].map((key) => {
+      const [row, col] = key.split(',').map(Number);
+      return { row, col };
+    });
+    if (wrong.length) {
+      return {
+        technique: 'mistake',
+        digits: [],
+        cells: wrong,
+        houses: [],
+        placements: wrong.map(({ row, col }) => ({ row, col, value: this.solution[row][col] })),
+        eliminations: []
+      };
     }
-    return null;
+    return findLogicalStep(this.grid, this.hintCandidates(), { rules: this.rules });
+  }
+
+  // Remembers what a hint rules out once it has been shown in full.
+  applyHintEliminations(step) {
+    step.eliminations.forEach(({ row, col, value }) => this.hinted[row][col].add(value));
+  }
+
+  /**
+   * The candidates hints reason from: what the placed digits and the
+   * variant rules leave open, narrowed to the player's center marks where
+   * a cell has some, less their eliminations and those of earlier hints.
+   * A cell whose marks have lost its digit keeps the full set, since no
+   * deduction from it would be sound.
+   */
+  hintCandidates() {
+    return createCandidates(this.grid, this.rules).map((row, r) =>
+      row.map((open, c) => {
+        const marks = this.notes[r][c];
+        const kept = [...open].filter(
+          (v) => (!marks.size || marks.has(v)) && !this.eliminated[r][c].has(v) && !this.hinted[r][c].has(v)
+        );
+        return kept.includes(this.solution[r][c]) ? new Set(kept) : open;
+      })
+    );
   }
 
   isSolved() {
     return this.grid.every((row, rIdx) =>
-      row.every((val, cIdx) => val !== 0 && val === this.solution[rIdx][cIdx])
+      row.every((val, cIdx) => (val !== 0 || !this.inPlay(rIdx, cIdx)) && val === this.solution[rIdx][cIdx])
     );
   }
 
   resetToPuzzle() {
     this.grid = this.puzzle.map((row) => [...row]);
-    this.notes = Array.from({ length: 9 }, () =>
-      Array.from({ length: 9 }, () => new Set())
-    );
+    this.notes = emptyNotes(this.size);
+    this.cornerNotes = emptyNotes(this.size);
+    this.colors = emptyColors(this.size);
+    this.eliminated = emptyNotes(this.size);
+    this.hinted = emptyNotes(this.size);
   }
 }
+
+function emptyNotes(size) {
+  return Array.from({ length: size }, () => Array.from({ length: size }, () => new Set()));
+}
+
+function emptyColors(size) {
+  return Array.from({ length: size }, () => Array.from({ length: size }, () => []));
+}
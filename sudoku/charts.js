@@ -0,0 +1,96 @@
+/**
+ * Small inline SVG charts for the stats screen. They return markup strings
+ * and take their colours from CSS, so both themes style them.
+ */
+
+const WIDTH = 320;
+const HEIGHT = 140;
+const PAD = { top: 12, right: 10, bottom: 22, left: 36 };
+
+/**
+ * Line chart of [{ label, value }] points; null values leave gaps.
+ * formatValue renders the y-axis labels.
+ */
+export function lineChart(points, { formatValue = String, emptyText = 'No data yet' } = {}) {
+  const values = points.map((p) => p.value).filter((v) => v !== null);
+  if (!values.length) return emptyChart(emptyText);
+  const max = Math.max(...values);
+  const min = Math.min(0, ...values);
+  const x = (i) => PAD.left + (points.length > 1 ? (i / (points.length - 1)) * plotWidth() : plotWidth() / 2);
+  const y = (v) => PAD.top + plotHeight() - ((v - min) / (max - min || 1)) * plotHeight();
+
+  let path = '';
+  let drawing = false;
+  const dots = [];
+  points.forEach((p, i) => {
+    if (p.value === null) {
+      drawing = false;
+      return;
+    }
+    path += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)},${y(p.value).toFixed(1)}`;
+    drawing = true;
+    dots.push(`<circle class="chart-dot" cx="${x(i).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="3" />`);
+  });
+
+  return svg(`
+    ${axes(formatValue(max), formatValue(min))}
+    <path class="chart-line" d="${path}" />
+    ${dots.join('')}
+    ${xLabels(points.map((p) => p.label), x)}
+  `);
+}
+
+/**
+ * Bar chart of [{ label, value }]; only every labelEvery-th label is drawn.
+ */
+export function barChart(bars, { labelEvery = 1, emptyText = 'No data yet' } = {}) {
+  const max = Math.max(0, ...bars.map((b) => b.value));
+  if (!max) return emptyChart(emptyText);
+  const slot = plotWidth() / bars.length;
+  const rects = bars
+    .map((b, i) => {
+      const h = (b.value / max) * plotHeight();
+      return `<rect class="chart-bar" x="${(PAD.left + i * slot + slot * 0.15).toFixed(1)}" y="${(PAD.top + plotHeight() - h).toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${h.toFixed(1)}" rx="2"><title>${b.label}: ${b.value}</title></rect>`;
+    })
+    .join('');
+  const labels = bars.map((b, i) => (i % labelEvery === 0 ? b.label : ''));
+  return svg(`
+    ${axes(String(max), '0')}
+    ${rects}
+    ${xLabels(labels, (i) => PAD.left + i * slot + slot / 2)}
+  `);
+}
+
+function plotWidth() {
+  return WIDTH - PAD.left - PAD.right;
+}
+
+function plotHeight() {
+  return HEIGHT - PAD.top - PAD.bottom;
+}
+
+function svg(body) {
+  return `<svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" preserveAspectRatio="xMidYMid meet">${body}</svg>`;
+}
+
+function emptyChart(text) {
+  return svg(`<text class="chart-empty" x="${WIDTH / 2}" y="${HEIGHT / 2}" text-anchor="middle">${text}</text>`);
+}
+
+function axes(topLabel, bottomLabel) {
+  const bottom = PAD.top + plotHeight();
+  return `
+    <line class="chart-axis" x1="${PAD.left}" y1="${bottom}" x2="${WIDTH - PAD.right}" y2="${bottom}" />
+    <line class="chart-grid" x1="${PAD.left}" y1="${PAD.top}" x2="${WIDTH - PAD.right}" y2="${PAD.top}" />
+    <text class="chart-label" x="${PAD.left - 6}" y="${PAD.top + 4}" text-anchor="end">${topLabel}</text>
+    <text class="chart-label" x="${PAD.left - 6}" y="${bottom + 4}" text-anchor="end">${bottomLabel}</text>
+  `;
+}
+
+function xLabels(labels, x) {
+  return labels
+    .map((label, i) =>
+      label ? `<text class="chart-label" x="${x(i).toFixed(1)}" y="${HEIGHT - 6}" text-anchor="middle">${label}</text>` : ''
+    )
+    .join('');
+}
@@ -0,0 +1,218 @@
+import { countSolutions } from './generator.js';
+import { BOX_SHAPES, digitCount, gridSize, symbolFor } from './rules.js';
+import { solveBoard } from './solver.js';
+
+// Grid decoration used by .ss files and pasted grids; never a cell.
+const DECORATION = /[|!+\-*=\s]/g;
+// Lines this long can only be whole puzzles, never one row of a grid.
+const MIN_PUZZLE_LINE = 20;
+const GAME_FILE_APP = 'not-sudoku';
+const GAME_FILE_VERSION = 1;
+const PRINT_GRID_SIZE = 432;
+
+/**
+ * Reads puzzles from the common text formats:
+ * - 81-character lines with 0 or . for blanks
+ * - SadMan .sdk files and pasted grids of nine rows
+ * - SadMan .sdm collections, one 81-character puzzle per line
+ * - Simple Sudoku .ss grids with | and ---!--- separators
+ * Lines starting with # or [ are comments or section headers.
+ * Returns { valid: true, puzzles } or { valid: false, reason, message }.
+ */
+export function parsePuzzles(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#') && !line.startsWith('['))
+    // Border lines such as +-------+ or ---!--- hold no cells.
+    .filter((line) => line.replace(DECORATION, ''));
+  if (!lines.length) return fail('empty', 'No puzzle found in the text.');
+
+  const isCollection = lines.some((line) => line.replace(DECORATION, '').length >= MIN_PUZZLE_LINE);
+  const chunks = isCollection ? lines : [lines.join('')];
+  const puzzles = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const label = chunks.length > 1 ? `Puzzle ${i + 1}: ` : '';
+    const parsed = parseGrid(chunks[i]);
+    if (!parsed.valid) return fail(parsed.reason, `${label}${parsed.message}`);
+    puzzles.push(parsed.puzzle);
+  }
+  return { valid: true, puzzles };
+}
+
+/**
+ * Checks that an imported puzzle has exactly one solution.
+ * Returns { valid: true, puzzle, solution } or { valid: false, reason, message }.
+ */
+export function validateImportedPuzzle(puzzle) {
+  const clash = findClashingGiven(puzzle);
+  if (clash) {
+    return fail('no-solution', `No solution: ${clash.value} appears twice in ${clash.house}.`);
+  }
+  const solution = puzzle.map((row) => [...row]);
+  if (!solveBoard(solution)) return fail('no-solution', 'No solution: the givens contradict each other.');
+  if (countSolutions(puzzle.map((row) => [...row])) !== 1) {
+    return fail('multiple-solutions', 'This puzzle has more than one solution.');
+  }
+  return { valid: true, puzzle, solution };
+}
+
+/**
+ * The givens as a single line, one character per cell (81 for 9x9), with
+ * . for blanks and A-G for digits past 9.
+ */
+export function formatGivens(puzzle) {
+  return puzzle.flat().map((value) => (value ? symbolFor(value) : '.')).join('');
+}
+
+/**
+ * Reads a line written by formatGivens back into a size x size puzzle.
+ * Returns null when the line does not fit that size.
+ */
+export function parseGivens(line, size = 9) {
+  const text = String(line || '');
+  if (text.length !== size * size) return null;
+  const puzzle = Array.from({ length: size }, () => Array(size).fill(0));
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '.') continue;
+    const value = Array.from({ length: size }, (_, d) => symbolFor(d + 1)).indexOf(text[i]) + 1;
+    if (!value) return null;
+    puzzle[Math.floor(i / size)][i % size] = value;
+  }
+  return puzzle;
+}
+
+/**
+ * Wraps a saved game state (pencil marks included) in a JSON game file.
+ */
+export function formatGameFile(state) {
+  return JSON.stringify({ app: GAME_FILE_APP, version: GAME_FILE_VERSION, game: state }, null, 2);
+}
+
+/**
+ * Reads a game file written by formatGameFile back into a game state.
+ * Returns { valid: true, state } or { valid: false, reason, message }.
+ */
+export function parseGameFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return fail('bad-json', 'This is not a valid game file.');
+  }
+  const state = data?.app === GAME_FILE_APP ? data.game : data;
+  const rules = state?.rules || null;
+  if (!isGrid(state?.puzzle, rules) || !isGrid(state?.solution, rules) || (state.grid && !isGrid(state.grid, rules))) {
+    return fail('bad-game', 'The game file is missing its puzzle or solution.');
+  }
+  const mismatch = state.puzzle.some((row, r) => row.some((v, c) => v !== 0 && v !== state.solution[r][c]));
+  if (mismatch) return fail('bad-game', 'The solution in this game file does not match its puzzle.');
+  return { valid: true, state };
+}
+
+/**
+ * Wraps a solve replay (givens, solution and timed steps) in a JSON file.
+ */
+export function formatReplayFile(replay) {
+  return JSON.stringify({ app: GAME_FILE_APP, version: GAME_FILE_VERSION, replay });
+}
+
+/**
+ * A print-ready page with the givens drawn as an SVG grid. The grid prints
+ * at the same width whatever its size, with thick lines around its boxes.
+ */
+export function formatPrintableHtml(puzzle, title) {
+  const cells = puzzle.length;
+  const [boxRows, boxCols] = BOX_SHAPES[cells];
+  const cellSize = PRINT_GRID_SIZE / cells;
+  const size = PRINT_GRID_SIZE;
+  const parts = [];
+  for (let i = 0; i <= cells; i++) {
+    const at = i * cellSize;
+    const rowWidth = i % boxRows === 0 ? 3 : 1;
+    const colWidth = i % boxCols === 0 ? 3 : 1;
+    parts.push(`<line x1="0" y1="${at}" x2="${size}" y2="${at}" stroke="#000" stroke-width="${rowWidth}" />`);
+    parts.push(`<line x1="${at}" y1="0" x2="${at}" y2="${size}" stroke="#000" stroke-width="${colWidth}" />`);
+  }
+  puzzle.forEach((row, r) => {
+    row.forEach((value, c) => {
+      if (!value) return;
+      const x = c * cellSize + cellSize / 2;
+      const y = r * cellSize + cellSize / 2;
+      parts.push(`<text x="${x}" y="${y}" text-anchor="middle" dominant-baseline="central">${symbolFor(value)}</text>`);
+    });
+  });
+  const fontSize = Math.round(cellSize * 0.58);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="-2 -2 ${size + 4} ${size + 4}" width="${size + 4}" height="${size + 4}" font-size="${fontSize}" font-weight="600">${parts.join('')}</svg>`;
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { margin: 56px 0; display: flex; flex-direction: column; align-items: center; font-family: -apple-system, 'Helvetica Neue', Arial, sans-serif; }
+      h1 { margin: 0 0 28px; font-size: 20px; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(title)}</h1>
+    ${svg}
+  </body>
+</html>`;
+}
+
+// A square grid of one of the sizes in BOX_SHAPES, or the Samurai layout,
+// matching the side and digits its rules give.
+function isGrid(value, rules) {
+  const size = rules ? gridSize(rules) : value?.length;
+  const digits = rules ? digitCount(rules) : size;
+  return (
+    Array.isArray(value) &&
+    value.length === size &&
+    (!!BOX_SHAPES[size] || !!rules?.samurai) &&
+    value.every((row) => Array.isArray(row) && row.length === size && row.every((v) => Number.isInteger(v) && v >= 0 && v <= digits))
+  );
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function parseGrid(chunk) {
+  const chars = chunk.replace(DECORATION, '');
+  const puzzle = Array.from({ length: 9 }, () => Array(9).fill(0));
+  for (let i = 0; i < chars.length && i < 81; i++) {
+    const ch = chars[i];
+    if (ch >= '1' && ch <= '9') {
+      puzzle[Math.floor(i / 9)][i % 9] = Number(ch);
+    } else if (ch !== '0' && ch !== '.') {
+      return fail('bad-character', `Unexpected character "${ch}" at cell ${i + 1}; use 1-9 for givens and 0 or . for blanks.`);
+    }
+  }
+  if (chars.length !== 81) {
+    return fail('bad-length', `Expected 81 cells but found ${chars.length}.`);
+  }
+  return { valid: true, puzzle };
+}
+
+function findClashingGiven(puzzle) {
+  const seen = new Set();
+  for (let r = 0; r < 9; r++) {
+    for (let c = 0; c < 9; c++) {
+      const value = puzzle[r][c];
+      if (!value) continue;
+      const box = Math.floor(r / 3) * 3 + Math.floor(c / 3);
+      const houses = [`row ${r + 1}`, `column ${c + 1}`, `box ${box + 1}`];
+      for (const house of houses) {
+        const key = `${house}:${value}`;
+        if (seen.has(key)) return { value, house };
+        seen.add(key);
+      }
+    }
+  }
+  return null;
+}
+
+function fail(reason, message) {
+  return { valid: false, reason, message };
+}
@@ -1,11 +1,11 @@
 import { generatePuzzle } from './generator.js';
 
 self.addEventListener('message', (event) => {
-  const { id, difficulty } = event.data || {};
+  const { id, difficulty, seed, variant, size } = event.data || {};
   if (id === undefined || id === null) return;
   try {
-    const { puzzle, solution } = generatePuzzle(difficulty);
-    self.postMessage({ id, ok: true, puzzle, solution });
+    const { puzzle, solution, grade, rules } = generatePuzzle(difficulty, seed, variant, size);
+    self.postMessage({ id, ok: true, puzzle, solution, grade, seed, rules: rules || null });
   } catch (error) {
     self.postMessage({
       id,
@@ -1,52 +1,253 @@
-import { solveBoard } from './solver.js';
+import { createRandom, hashString, randomSeed, shuffle } from './random.js';
+import { createRegions } from './jigsaw.js';
+import { createCages } from './killer.js';
+import { createArrows, createDots, createThermos } from './overlays.js';
+import { compileRules, VARIANT_CONSTRAINTS } from './rules.js';
+import { solveBoard, solveLogically, solveWithRules, TECHNIQUES } from './solver.js';
 
-const MAX_GENERATION_ATTEMPTS = 8;
+const MAX_GENERATION_ATTEMPTS = 200;
+// Search budget for one variant uniqueness check. Past it Killer reveals
+// another digit and the other generators stop carving.
+const VARIANT_SEARCH_NODES = 20000;
+// Filling a grid under extra constraints is fastest as many short searches:
+// most random starts finish quickly, the rest can run for a long time.
+const VARIANT_FILL_NODES = 1000;
+const MAX_FILL_ATTEMPTS = 2000;
+
+// Variants whose rules are drawn onto an already solved grid.
+const OVERLAY_VARIANTS = {
+  thermo: (solution, random) => ({ thermos: createThermos(solution, random) }),
+  arrow: (solution, random) => ({ arrows: createArrows(solution, random) }),
+  kropki: (solution, random) => ({ dots: createDots(solution, random) })
+};
+
+/**
+ * Difficulty tiers, from easiest to hardest. A puzzle fits a tier when the
+ * hardest technique it needs is above the previous tier's ceiling and at
+ * most this tier's ceiling:
+ * - easy: naked and hidden singles
+ * - medium: naked and hidden pairs
+ * - hard: pointing pairs, box/line reduction, triples and quads
+ * - expert: X-Wing, Swordfish, XY-Wing and simple coloring
+ * `maxRemoved` caps how many cells are carved out of the solved grid.
+ */
+export const DIFFICULTY_TIERS = {
+  easy: { ceiling: 'hidden-single', maxRemoved: 45 },
+  medium: { ceiling: 'hidden-pair', maxRemoved: 55 },
+  hard: { ceiling: 'hidden-quad', maxRemoved: 62 },
+  expert: { ceiling: 'simple-coloring', maxRemoved: 70 }
+};
+
+/**
+ * Killer tiers: larger cages make the sums less telling, and easier tiers
+ * reveal a few extra digits on top of those needed for a unique solution.
+ */
+export const KILLER_TIERS = {
+  easy: { maxCage: 3, extraGivens: 8 },
+  medium: { maxCage: 4, extraGivens: 3 },
+  hard: { maxCage: 5, extraGivens: 0 },
+  expert: { maxCage: 6, extraGivens: 0 }
+};
 
 /**
- * Generates a puzzle by creating a solved grid, then removing cells
- * according to the difficulty level while keeping a unique solution.
- * We also re-validate the final puzzle to guarantee it remains solvable.
+ * Seed of the daily puzzle for a "YYYY-MM-DD" day. Every install derives the
+ * same puzzle from it, so the daily works offline.
  */
-export function generatePuzzle(difficulty = 'medium') {
+export function dailySeed(day) {
+  return `daily:${day}`;
+}
+
+/**
+ * Generates a puzzle by creating a solved grid, then removing cells while
+ * it stays solvable with the techniques allowed by the difficulty tier.
+ * Candidates whose grade does not reach the tier are discarded. We also
+ * re-validate the final puzzle to guarantee it has a unique solution.
+ * All randomness comes from the seed, so the same difficulty and seed
+ * always give the same puzzle. Variant puzzles also return their rules,
+ * and so do grids of another size (see BOX_SHAPES), which are classic only.
+ */
+export function generatePuzzle(difficulty = 'medium', seed = randomSeed(), variant = 'classic', size = 9) {
+  if (size !== 9) {
+    if (variant !== 'classic') throw new Error('Variants are played on 9x9 grids');
+    return generateConstrainedPuzzle(difficulty, seed, variant, size);
+  }
+  if (variant === 'killer') return generateKillerPuzzle(difficulty, seed);
+  if (VARIANT_CONSTRAINTS[variant] || OVERLAY_VARIANTS[variant] || variant === 'jigsaw' || variant === 'samurai') return generateConstrainedPuzzle(difficulty, seed, variant);
+  const tier = DIFFICULTY_TIERS[difficulty] ? difficulty : 'medium';
+  const random = createRandom(hashString(`${tier}:${seed}`));
   for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
-    const solved = generateSolvedBoard();
+    const solved = generateSolvedBoard(random);
     if (!solved) continue;
-    const puzzle = carvePuzzle(solved, difficulty);
+    const puzzle = carvePuzzle(solved, tier, random);
+    const grade = gradePuzzle(puzzle);
+    if (grade.tier !== tier) continue;
     const validation = validatePuzzle(puzzle, solved);
     if (validation.valid) {
-      return { puzzle, solution: validation.solution };
+      return { puzzle, solution: validation.solution, grade, seed };
     }
   }
   throw new Error('Failed to generate a valid Sudoku puzzle after multiple attempts');
 }
 
-function generateSolvedBoard() {
+/**
+ * Cuts Killer cages from a solved grid, then reveals digits only where the
+ * cages alone leave more than one solution. When a uniqueness check runs
+ * past its budget a random digit is revealed instead, so generation ends
+ * quickly; it only stops once a check has proved the solution unique.
+ */
+function generateKillerPuzzle(difficulty, seed) {
+  const tier = KILLER_TIERS[difficulty] ? difficulty : 'medium';
+  const { maxCage, extraGivens } = KILLER_TIERS[tier];
+  const random = createRandom(hashString(`killer:${tier}:${seed}`));
+  const solution = generateSolvedBoard(random);
+  const rules = { cages: createCages(solution, random, maxCage) };
+  const puzzle = Array.from({ length: 9 }, () => Array(9).fill(0));
+  const reveal = (cells) => {
+    const [r, c] = cells[Math.floor(random() * cells.length)];
+    puzzle[r][c] = solution[r][c];
+  };
+  for (;;) {
+    const other = findOtherSolution(puzzle, solution, rules);
+    if (other === null) break;
+    if (other) {
+      reveal(cellsWhere(other, (value, r, c) => value !== solution[r][c]));
+    } else {
+      reveal(cellsWhere(puzzle, (value) => !value));
+    }
+  }
+  shuffle(cellsWhere(puzzle, (value) => !value), random)
+    .slice(0, extraGivens)
+    .forEach(([r, c]) => {
+      puzzle[r][c] = solution[r][c];
+    });
+  return { puzzle, solution, grade: null, seed, rules };
+}
+
+/**
+ * Puzzles for Jigsaw, Samurai, the variants that add constraints (see
+ * VARIANT_CONSTRAINTS), the thermometer, arrow and Kropki overlays, and
+ * classic grids that are not 9x9: fills a grid that obeys the rules, then
+ * removes digits in random order while the solution stays unique, up to
+ * the tier's maxRemoved scaled to the number of cells in play. Jigsaw draws a new
+ * region layout for every attempt; overlays are drawn from the solved
+ * grid. Puzzles are carved for uniqueness rather than technique, so the
+ * grade is null.
+ */
+function generateConstrainedPuzzle(difficulty, seed, variant, size = 9) {
+  const tier = DIFFICULTY_TIERS[difficulty] ? difficulty : 'medium';
+  const random = createRandom(hashString(size === 9 ? `${variant}:${tier}:${seed}` : `${size}:${tier}:${seed}`));
+  for (let attempt = 0; attempt < MAX_FILL_ATTEMPTS; attempt++) {
+    let rules = { size };
+    let solution = null;
+    if (OVERLAY_VARIANTS[variant]) {
+      solution = generateSolvedBoard(random);
+      if (!solution) continue;
+      rules = OVERLAY_VARIANTS[variant](solution, random);
+    } else {
+      if (variant === 'jigsaw') rules = { regions: createRegions(random) };
+      else if (variant === 'samurai') rules = { samurai: true };
+      else if (VARIANT_CONSTRAINTS[variant]) rules = { constraints: [...VARIANT_CONSTRAINTS[variant]] };
+      const side = compileRules(rules).size;
+      const board = Array.from({ length: side }, () => Array(side).fill(0));
+      if (!solveWithRules(board, rules, { randomize: random, maxNodes: VARIANT_FILL_NODES })) continue;
+      solution = cloneBoard(board);
+    }
+    const puzzle = cloneBoard(solution);
+    const filled = cellsWhere(puzzle, (value) => value);
+    const maxRemoved = Math.round((DIFFICULTY_TIERS[tier].maxRemoved * filled.length) / 81);
+    let removed = 0;
+    for (const [r, c] of shuffle(filled, random)) {
+      if (removed >= maxRemoved) break;
+      puzzle[r][c] = 0;
+      const other = findOtherSolution(puzzle, solution, rules);
+      if (other === null) {
+        removed += 1;
+        continue;
+      }
+      puzzle[r][c] = solution[r][c];
+      // Past the search budget every further check would be as slow, and
+      // the puzzle is already about as hard as the search can prove.
+      if (other === undefined) break;
+    }
+    return { puzzle, solution, grade: null, seed, rules };
+  }
+  throw new Error('Failed to generate a valid Sudoku puzzle after multiple attempts');
+}
+
+// A second solution, null when the puzzle is unique, or undefined when
+// the search budget ran out first. Nodes cost more on bigger grids, so
+// the budget shrinks with the number of cells in play.
+function findOtherSolution(puzzle, solution, rules) {
+  let other = null;
+  const cells = compileRules(rules).inPlay.filter(Boolean).length;
+  const result = solveWithRules(cloneBoard(puzzle), rules, {
+    maxNodes: Math.round((VARIANT_SEARCH_NODES * 81) / cells),
+    onSolution: (board) => {
+      if (boardsEqual(board, solution)) return false;
+      other = cloneBoard(board);
+      return true;
+    }
+  });
+  return result === null ? undefined : other;
+}
+
+function cellsWhere(board, test) {
+  const cells = [];
+  board.forEach((row, r) => row.forEach((value, c) => test(value, r, c) && cells.push([r, c])));
+  return cells;
+}
+
+/**
+ * Grades a puzzle by solving it logically. `technique` is the hardest
+ * technique needed, `score` sums the technique scores of every step and
+ * `tier` is the difficulty the puzzle fits, or null when it cannot be
+ * finished without guessing.
+ */
+export function gradePuzzle(puzzle) {
+  const { solved, steps } = solveLogically(puzzle);
+  let hardest = -1;
+  let score = 0;
+  steps.forEach((step) => {
+    const index = techniqueIndex(step.technique);
+    hardest = Math.max(hardest, index);
+    score += TECHNIQUES[index].score;
+  });
+  const tier = solved
+    ? Object.keys(DIFFICULTY_TIERS).find((name) => hardest <= techniqueIndex(DIFFICULTY_TIERS[name].ceiling))
+    : null;
+  return {
+    technique: hardest >= 0 ? TECHNIQUES[hardest].id : null,
+    score,
+    tier: tier || null
+  };
+}
+
+function techniqueIndex(id) {
+  return TECHNIQUES.findIndex((technique) => technique.id === id);
+}
+
+function generateSolvedBoard(random) {
   const board = Array.from({ length: 9 }, () => Array(9).fill(0));
-  const solved = solveBoard(board, true);
+  const solved = solveBoard(board, random);
   if (!solved) return null;
   return cloneBoard(board);
 }
 
-function carvePuzzle(solved, difficulty) {
-  const removalMap = {
-    easy: 45,
-    medium: 55,
-    hard: 62,
-    expert: 70
-  };
-  const toRemove = removalMap[difficulty] ?? removalMap.medium;
+function carvePuzzle(solved, difficulty, random) {
+  const { ceiling, maxRemoved } = DIFFICULTY_TIERS[difficulty];
+  const techniques = TECHNIQUES.slice(0, techniqueIndex(ceiling) + 1).map((technique) => technique.id);
   const puzzle = cloneBoard(solved);
   let removed = 0;
-  const positions = shuffle(Array.from({ length: 81 }, (_, i) => i));
+  const positions = shuffle(Array.from({ length: 81 }, (_, i) => i), random);
   for (const pos of positions) {
-    if (removed >= toRemove) break;
+    if (removed >= maxRemoved) break;
     const r = Math.floor(pos / 9);
     const c = pos % 9;
     const backup = puzzle[r][c];
     puzzle[r][c] = 0;
-    const solutions = countSolutions(cloneBoard(puzzle));
-    if (solutions !== 1) {
-      puzzle[r][c] = backup; // keep unique solution
+    // Solving it logically within the ceiling also proves the solution is unique.
+    if (!solveLogically(puzzle, { techniques }).solved) {
+      puzzle[r][c] = backup; // keep it within the tier
     } else {
       removed += 1;
     }
@@ -70,12 +271,21 @@ function validatePuzzle(puzzle, expectedSolution) {
   };
 }
 
-function countSolutions(board) {
+/**
+ * Counts solutions, stopping at two: 1 means the puzzle is unique.
+ * The board is filled in while searching, so pass a copy.
+ */
+export function countSolutions(board, rules = null) {
   let count = 0;
-  solveBoard(board, false, () => {
-    count += 1;
-    return count >= 2; // stop once we know there's more than one solution
-  });
+  solveBoard(
+    board,
+    false,
+    () => {
+      count += 1;
+      return count >= 2; // stop once we know there's more than one solution
+    },
+    rules
+  );
   return count;
 }
 
@@ -84,9 +294,9 @@ function cloneBoard(board) {
 }
 
 function boardsEqual(a, b) {
-  if (!a || !b) return false;
-  for (let r = 0; r < 9; r++) {
-    for (let c = 0; c < 9; c++) {
+  if (!a || !b || a.length !== b.length) return false;
+  for (let r = 0; r < a.length; r++) {
+    for (let c = 0; c < a.length; c++) {
       if (a[r][c] !== b[r][c]) return false;
     }
   }
@@ -127,11 +337,3 @@ function isCompleteAndValid(board) {
   }
   return true;
 }
-
-function shuffle(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
-}
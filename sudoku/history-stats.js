@@ -0,0 +1,168 @@
+/**
+ * Statistics derived from the per-game history log. Everything is computed
+ * from the records themselves so filters (e.g. one difficulty) stay exact.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Trend charts look at the most recent weeks only.
+const TREND_WEEKS = 12;
+
+/**
+ * Local calendar day of a date as "YYYY-MM-DD".
+ */
+export function dateKey(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Value at percentile p (0-100) of an ascending list, interpolating
+ * between neighbours. Returns null for an empty list.
+ */
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Summarises the free-play history records, optionally for one difficulty,
+ * grid size and variant (records from before sizes or variants existed are
+ * classic 9x9). Dailies are left out; their results are kept separately.
+ * - played, wins and losses (hardcore games ended by mistakes, and games
+ *   given up by revealing the solution), winRate
+ * - dailyStreak / winStreak: { current, best }
+ * - solveTimes: { count, best, median, p25, p75, p90 } over won games
+ *   played without checks or reveals
+ * - bestProgression: [{ date, elapsed }] each time the best time improved
+ * - errorTrend: [{ week, value }] average errors per finished game by week
+ * - hourCounts: games started in each hour of the day
+ */
+export function summarizeHistory(
+  records,
+  { difficulty = 'all', size = 'all', variant = 'all', now = new Date() } = {}
+) {
+  const games = (records || []).filter(
+    (r) =>
+      !r.daily &&
+      (difficulty === 'all' || r.difficulty === difficulty) &&
+      (size === 'all' || (r.size || 9) === size) &&
+      (variant === 'all' || (r.variant || 'classic') === variant)
+  );
+  const finished = games
+    .filter((r) => r.outcome !== 'playing' && r.finishedAt)
+    .sort((a, b) => String(a.finishedAt).localeCompare(String(b.finishedAt)));
+  const wins = finished.filter((r) => r.outcome === 'won');
+  // Checked or revealed games count as wins but never as solve times.
+  const timed = wins.filter((r) => !r.assisted);
+  const times = timed.map((r) => r.elapsed).sort((a, b) => a - b);
+
+  return {
+    played: games.length,
+    wins: wins.length,
+    losses: finished.filter((r) => r.outcome === 'lost').length,
+    winRate: finished.length ? wins.length / finished.length : 0,
+    dailyStreak: dailyStreak(wins, now),
+    winStreak: winStreak(finished),
+    solveTimes: {
+      count: times.length,
+      best: times.length ? times[0] : null,
+      median: percentile(times, 50),
+      p25: percentile(times, 25),
+      p75: percentile(times, 75),
+      p90: percentile(times, 90)
+    },
+    bestProgression: bestProgression(timed),
+    errorTrend: errorTrend(finished, now),
+    hourCounts: hourCounts(games)
+  };
+}
+
+function dailyStreak(wins, now) {
+  return dayStreak(wins.map((r) => dateKey(r.finishedAt)), now);
+}
+
+/**
+ * Current and best run of consecutive "YYYY-MM-DD" days. A streak still
+ * counts as current until a whole day passes without an entry.
+ */
+export function dayStreak(dayKeys, now = new Date()) {
+  const days = new Set(dayKeys);
+  let best = 0;
+  days.forEach((key) => {
+    if (days.has(shiftDay(key, -1))) return;
+    let length = 1;
+    while (days.has(shiftDay(key, length))) length += 1;
+    best = Math.max(best, length);
+  });
+  let day = dateKey(now);
+  if (!days.has(day)) day = shiftDay(day, -1);
+  let current = 0;
+  while (days.has(day)) {
+    current += 1;
+    day = shiftDay(day, -1);
+  }
+  return { current, best };
+}
+
+function shiftDay(key, offset) {
+  const [year, month, day] = key.split('-').map(Number);
+  return dateKey(new Date(year, month - 1, day + offset));
+}
+
+// Wins in a row; any restarted or abandoned game breaks the run.
+function winStreak(finished) {
+  let current = 0;
+  let best = 0;
+  finished.forEach((r) => {
+    current = r.outcome === 'won' ? current + 1 : 0;
+    best = Math.max(best, current);
+  });
+  return { current, best };
+}
+
+function bestProgression(wins) {
+  const points = [];
+  wins.forEach((r) => {
+    const last = points[points.length - 1];
+    if (!last || r.elapsed < last.elapsed) points.push({ date: r.finishedAt, elapsed: r.elapsed });
+  });
+  return points;
+}
+
+function weekStart(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  // Weeks start on Monday.
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+function errorTrend(finished, now) {
+  const firstWeek = weekStart(new Date(weekStart(now).getTime() - (TREND_WEEKS - 1) * 7 * DAY_MS));
+  const weeks = Array.from({ length: TREND_WEEKS }, (_, i) => {
+    const start = new Date(firstWeek);
+    start.setDate(start.getDate() + i * 7);
+    return { week: dateKey(start), errors: 0, games: 0 };
+  });
+  const byKey = new Map(weeks.map((w) => [w.week, w]));
+  finished.forEach((r) => {
+    const bucket = byKey.get(dateKey(weekStart(r.finishedAt)));
+    if (!bucket) return;
+    bucket.errors += r.errors || 0;
+    bucket.games += 1;
+  });
+  return weeks.map(({ week, errors, games }) => ({ week, value: games ? errors / games : null }));
+}
+
+function hourCounts(games) {
+  const counts = new Array(24).fill(0);
+  games.forEach((r) => {
+    if (r.startedAt) counts[new Date(r.startedAt).getHours()] += 1;
+  });
+  return counts;
+}
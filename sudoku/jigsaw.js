@@ -0,0 +1,72 @@
+const SIZE = 9;
+const SIDES = [[-1, 0], [0, 1], [1, 0], [0, -1]];
+
+/**
+ * Random jigsaw layout: a 9x9 array giving the region (0-8) of every cell,
+ * each region nine orthogonally connected cells. Starts from the classic
+ * boxes and trades cells across region borders, a pair at a time, undoing
+ * any trade that would split a region. Not every layout has a solution;
+ * the generator tries another one when it cannot fill the grid.
+ */
+export function createRegions(random, trades = 120) {
+  const regions = Array.from({ length: SIZE }, (_, r) =>
+    Array.from({ length: SIZE }, (_, c) => Math.floor(r / 3) * 3 + Math.floor(c / 3))
+  );
+  let done = 0;
+  for (let tries = 0; done < trades && tries < trades * 50; tries++) {
+    const row = Math.floor(random() * SIZE);
+    const col = Math.floor(random() * SIZE);
+    const from = regions[row][col];
+    const across = neighbours(row, col).filter(([r, c]) => regions[r][c] !== from);
+    if (!across.length) continue;
+    const [nr, nc] = across[Math.floor(random() * across.length)];
+    const to = regions[nr][nc];
+
+    // Move the cell over, then hand back a cell of the other region that
+    // touches this one so both keep nine cells.
+    regions[row][col] = to;
+    const back = [];
+    regions.forEach((cells, r) =>
+      cells.forEach((region, c) => {
+        if (region !== to || (r === row && c === col)) return;
+        if (neighbours(r, c).some(([r2, c2]) => regions[r2][c2] === from)) back.push([r, c]);
+      })
+    );
+    if (!back.length) {
+      regions[row][col] = from;
+      continue;
+    }
+    const [br, bc] = back[Math.floor(random() * back.length)];
+    regions[br][bc] = from;
+    if (isConnected(regions, from) && isConnected(regions, to)) {
+      done += 1;
+    } else {
+      regions[row][col] = from;
+      regions[br][bc] = to;
+    }
+  }
+  return regions;
+}
+
+function isConnected(regions, region) {
+  const cells = [];
+  regions.forEach((row, r) => row.forEach((value, c) => value === region && cells.push([r, c])));
+  const seen = new Set([`${cells[0][0]},${cells[0][1]}`]);
+  const queue = [cells[0]];
+  while (queue.length) {
+    const [row, col] = queue.shift();
+    neighbours(row, col).forEach(([r, c]) => {
+      const key = `${r},${c}`;
+      if (regions[r][c] !== region || seen.has(key)) return;
+      seen.add(key);
+      queue.push([r, c]);
+    });
+  }
+  return seen.size === cells.length;
+}
+
+function neighbours(row, col) {
+  return SIDES.map(([dr, dc]) => [row + dr, col + dc]).filter(
+    ([r, c]) => r >= 0 && r < SIZE && c >= 0 && c < SIZE
+  );
+}
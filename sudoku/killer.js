@@ -0,0 +1,98 @@
+import { shuffle } from './random.js';
+
+const SIZE = 9;
+
+/**
+ * Splits a solved grid into Killer cages of orthogonally connected cells,
+ * at most maxSize each, with no digit repeated inside a cage.
+ * Returns [{ sum, cells: [[row, col], ...] }].
+ */
+export function createCages(solution, random, maxSize = 5) {
+  const owner = Array.from({ length: SIZE }, () => Array(SIZE).fill(-1));
+  const cages = [];
+  const order = shuffle(Array.from({ length: SIZE * SIZE }, (_, i) => i), random);
+
+  order.forEach((pos) => {
+    const row = Math.floor(pos / SIZE);
+    const col = pos % SIZE;
+    if (owner[row][col] !== -1) return;
+    const target = 2 + Math.floor(random() * (maxSize - 1));
+    const cage = [[row, col]];
+    owner[row][col] = cages.length;
+    while (cage.length < target) {
+      const options = growOptions(cage, owner, solution);
+      if (!options.length) break;
+      const [r, c] = options[Math.floor(random() * options.length)];
+      owner[r][c] = cages.length;
+      cage.push([r, c]);
+    }
+    cages.push(cage);
+  });
+
+  // A lone cell gives its digit away; fold it into a neighbouring cage when one can take it.
+  cages.forEach((cage, index) => {
+    if (cage.length !== 1) return;
+    const [row, col] = cage[0];
+    const target = neighbours(row, col)
+      .map(([r, c]) => owner[r][c])
+      .find((other) => {
+        const cells = cages[other];
+        if (cells.length < 2 || cells.length >= maxSize) return false;
+        return !cells.some(([r, c]) => solution[r][c] === solution[row][col]);
+      });
+    if (target === undefined) return;
+    cages[target].push([row, col]);
+    owner[row][col] = target;
+    cages[index] = [];
+  });
+
+  return cages
+    .filter((cage) => cage.length)
+    .map((cells) => ({
+      sum: cells.reduce((total, [r, c]) => total + solution[r][c], 0),
+      cells: cells.sort((a, b) => a[0] - b[0] || a[1] - b[1])
+    }));
+}
+
+/**
+ * Every set of distinct digits with the given size adding up to sum,
+ * in ascending order, skipping sets that use an excluded digit.
+ */
+export function cageCombinations(sum, size, exclude = []) {
+  const skip = new Set(exclude);
+  const combos = [];
+  const walk = (start, picked, total) => {
+    if (picked.length === size) {
+      if (total === sum) combos.push([...picked]);
+      return;
+    }
+    for (let d = start; d <= SIZE && total + d <= sum; d++) {
+      if (skip.has(d)) continue;
+      picked.push(d);
+      walk(d + 1, picked, total + d);
+      picked.pop();
+    }
+  };
+  walk(1, [], 0);
+  return combos;
+}
+
+function growOptions(cage, owner, solution) {
+  const digits = new Set(cage.map(([r, c]) => solution[r][c]));
+  const options = [];
+  cage.forEach(([row, col]) => {
+    neighbours(row, col).forEach(([r, c]) => {
+      if (owner[r][c] === -1 && !digits.has(solution[r][c])) options.push([r, c]);
+    });
+  });
+  return options;
+}
+
+function neighbours(row, col) {
+  return [
+    [row - 1, col],
+    [row + 1, col],
+    [row, col - 1],
+    [row, col + 1]
+  ].filter(([r, c]) => r >= 0 && r < SIZE && c >= 0 && c < SIZE);
+}
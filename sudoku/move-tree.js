@@ -0,0 +1,173 @@
+/**
+ * The undo history as a tree of moves. Undoing and then playing something
+ * else starts a new branch instead of throwing the old line away, so every
+ * line tried stays reachable. Node 0 is the start of the game; every other
+ * node holds the move that led to it ({ changes, before, after }, see
+ * commitMove in renderer.js) and may carry a checkpoint label. `next` is
+ * the child redo follows: the one most recently left or played.
+ * toJSON() gives plain data that the constructor reads back.
+ */
+export class MoveTree {
+  constructor(data = null) {
+    this.nodes = data?.nodes?.length ? data.nodes.map((node) => ({ ...node })) : [createNode(0, null, null)];
+    this.current = this.nodes[data?.current] ? data.current : 0;
+  }
+
+  /**
+   * A linear history kept as undo and redo stacks, the redo stack holding
+   * the next move last.
+   */
+  static fromStacks(undoStack = [], redoStack = []) {
+    const tree = new MoveTree();
+    undoStack.forEach((move) => tree.add(move));
+    const at = tree.current;
+    [...redoStack].reverse().forEach((move) => tree.add(move));
+    tree.jump(at);
+    return tree;
+  }
+
+  canUndo() {
+    return this.current !== 0;
+  }
+
+  canRedo() {
+    return this.nodes[this.current].next !== null;
+  }
+
+  // Plays a move from the current node, as a new branch if that node
+  // already has moves after it.
+  add(move) {
+    const node = createNode(this.nodes.length, this.current, move);
+    this.nodes.push(node);
+    this.nodes[this.current].next = node.id;
+    this.current = node.id;
+    return node;
+  }
+
+  // Steps back one move and returns it, for the caller to revert.
+  undo() {
+    if (!this.canUndo()) return null;
+    const node = this.nodes[this.current];
+    this.current = node.parent;
+    this.nodes[this.current].next = node.id;
+    return node.move;
+  }
+
+  // Steps forward along `next` and returns the move to replay.
+  redo() {
+    if (!this.canRedo()) return null;
+    this.current = this.nodes[this.current].next;
+    return this.nodes[this.current].move;
+  }
+
+  /**
+   * Moves to any node: back to where its line and the current one part,
+   * then forward along its branch. Returns { undo, redo }, the moves to
+   * revert and then replay, both in order.
+   */
+  jump(id) {
+    if (!this.nodes[id]) return { undo: [], redo: [] };
+    const ancestors = new Set(this.lineTo(this.current));
+    const forward = [];
+    let at = id;
+    while (!ancestors.has(at)) {
+      forward.unshift(at);
+      at = this.nodes[at].parent;
+    }
+    const undo = [];
+    while (this.current !== at) undo.push(this.undo());
+    const redo = forward.map((next) => {
+      this.nodes[this.current].next = next;
+      return this.redo();
+    });
+    return { undo, redo };
+  }
+
+  // Node ids from the start of the game down to `id`.
+  lineTo(id) {
+    const line = [];
+    for (let at = id; at !== null; at = this.nodes[at].parent) line.unshift(at);
+    return line;
+  }
+
+  setLabel(id, label) {
+    this.nodes[id].label = label || null;
+  }
+
+  // Labelled nodes with how many moves in they are, newest first.
+  checkpoints() {
+    return this.nodes
+      .filter((node) => node.label)
+      .map((node) => ({ id: node.id, label: node.label, depth: this.lineTo(node.id).length - 1 }))
+      .reverse();
+  }
+
+  /**
+   * Places every node for drawing: `depth` moves from the start, and a
+   * `lane` per branch. A node's first move stays in its lane; later
+   * branches open new lanes below.
+   */
+  layout() {
+    const children = this.nodes.map(() => []);
+    this.nodes.forEach((node) => {
+      if (node.parent !== null) children[node.parent].push(node.id);
+    });
+    const placed = [];
+    let lanes = 0;
+    // Depth first with the first child on top, and a branch's lane handed
+    // out when it is reached, so each branch fills its lanes before the
+    // next sibling opens one.
+    const stack = [{ id: 0, depth: 0, lane: 0 }];
+    while (stack.length) {
+      const item = stack.pop();
+      const lane = item.lane ?? ++lanes;
+      const { parent, label } = this.nodes[item.id];
+      placed.push({ id: item.id, depth: item.depth, lane, parent, label });
+      const kids = children[item.id];
+      for (let i = kids.length - 1; i >= 0; i--) {
+        stack.push({ id: kids[i], depth: item.depth + 1, lane: i === 0 ? lane : null });
+      }
+    }
+    return placed;
+  }
+
+  toJSON() {
+    return { nodes: this.nodes.map((node) => ({ ...node })), current: this.current };
+  }
+}
+
+/**
+ * The tree as a small SVG timeline: a dot per move, lines to the move
+ * before, the current node ringed and checkpoints filled. Dots carry
+ * data-node for click handling.
+ */
+export function timelineSvg(tree, { step = 14, pad = 8, radius = 4 } = {}) {
+  const placed = tree.layout();
+  const byId = new Map(placed.map((item) => [item.id, item]));
+  const x = (item) => pad + item.depth * step;
+  const y = (item) => pad + item.lane * step;
+  const width = pad * 2 + Math.max(...placed.map((item) => item.depth)) * step;
+  const height = pad * 2 + Math.max(...placed.map((item) => item.lane)) * step;
+  const lines = placed
+    .filter((item) => item.parent !== null)
+    .map((item) => {
+      const from = byId.get(item.parent);
+      return `<path class="timeline-link" d="M${x(from)},${y(from)} L${x(from) + step / 2},${y(item)} L${x(item)},${y(item)}" />`;
+    });
+  const dots = placed.map((item) => {
+    const classes = ['timeline-dot'];
+    if (item.id === tree.current) classes.push('current');
+    if (item.label) classes.push('checkpoint');
+    const title = item.label ? `${escapeText(item.label)} (move ${item.depth})` : item.depth ? `Move ${item.depth}` : 'Start';
+    return `<circle class="${classes.join(' ')}" data-node="${item.id}" cx="${x(item)}" cy="${y(item)}" r="${item.id === tree.current ? radius + 2 : radius}"><title>${title}</title></circle>`;
+  });
+  return `<svg class="timeline-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${lines.join('')}${dots.join('')}</svg>`;
+}
+
+function createNode(id, parent, move) {
+  return { id, parent, move, label: null, next: null };
+}
+
+function escapeText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
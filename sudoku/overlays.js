@@ -0,0 +1,108 @@
+import { shuffle } from './random.js';
+import { dotHolds } from './rules.js';
+
+const SIZE = 9;
+const KING_MOVES = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+/**
+ * Draws thermometers along a solved grid: walks from a bulb to touching
+ * cells (diagonals included) with ever larger digits, keeping walks of at
+ * least three cells. Thermometers never share a cell.
+ * Returns [[[row, col], ...]], bulb first.
+ */
+export function createThermos(solution, random, count = 8, maxLength = 6) {
+  const used = new Set();
+  const thermos = [];
+  for (const [row, col] of shuffle(allCells(), random)) {
+    if (thermos.length >= count) break;
+    if (used.has(row * SIZE + col)) continue;
+    const thermo = [[row, col]];
+    while (thermo.length < maxLength) {
+      const [r, c] = thermo[thermo.length - 1];
+      const options = neighbours(r, c).filter(
+        ([r2, c2]) => !used.has(r2 * SIZE + c2) && !contains(thermo, r2, c2) && solution[r2][c2] > solution[r][c]
+      );
+      if (!options.length) break;
+      thermo.push(options[Math.floor(random() * options.length)]);
+    }
+    if (thermo.length < 3) continue;
+    thermo.forEach(([r, c]) => used.add(r * SIZE + c));
+    thermos.push(thermo);
+  }
+  return thermos;
+}
+
+/**
+ * Draws arrows on a solved grid: from a circled cell, a path of two or
+ * three touching cells whose digits add up to the circle. Arrows never
+ * share a cell.
+ * Returns [{ circle: [row, col], cells: [[row, col], ...] }].
+ */
+export function createArrows(solution, random, count = 8) {
+  const used = new Set();
+  const arrows = [];
+  for (const [row, col] of shuffle(allCells(), random)) {
+    if (arrows.length >= count) break;
+    if (used.has(row * SIZE + col) || solution[row][col] < 3) continue;
+    const length = 2 + Math.floor(random() * 2);
+    const cells = findPath([row, col], solution[row][col], length, solution, used, random);
+    if (!cells) continue;
+    [[row, col], ...cells].forEach(([r, c]) => used.add(r * SIZE + c));
+    arrows.push({ circle: [row, col], cells });
+  }
+  return arrows;
+}
+
+/**
+ * Puts a Kropki dot between side-by-side cells of a solved grid wherever
+ * the digits are consecutive (white) or one is double the other (black),
+ * keeping about `share` of them. Pairs such as 1 and 2 fit both and get
+ * either colour.
+ * Returns [{ type, cells: [[row, col], [row, col]] }].
+ */
+export function createDots(solution, random, share = 0.75) {
+  const dots = [];
+  allCells().forEach(([row, col]) => {
+    [[row, col + 1], [row + 1, col]].forEach(([r, c]) => {
+      if (r >= SIZE || c >= SIZE || random() >= share) return;
+      const types = ['white', 'black'].filter((type) => dotHolds(type, solution[row][col], solution[r][c]));
+      if (!types.length) return;
+      dots.push({ type: types[Math.floor(random() * types.length)], cells: [[row, col], [r, c]] });
+    });
+  });
+  return dots;
+}
+
+// A path of `length` cells leading away from `start` whose digits add up to
+// `sum`, or null when the random walks tried find none.
+function findPath(start, sum, length, solution, used, random) {
+  const walk = (path, total) => {
+    if (path.length === length + 1) return total === sum ? path.slice(1) : null;
+    const [r, c] = path[path.length - 1];
+    const options = shuffle(neighbours(r, c), random).filter(
+      ([r2, c2]) => !used.has(r2 * SIZE + c2) && !contains(path, r2, c2) && total + solution[r2][c2] <= sum
+    );
+    for (const next of options) {
+      path.push(next);
+      const found = walk(path, total + solution[next[0]][next[1]]);
+      if (found) return found;
+      path.pop();
+    }
+    return null;
+  };
+  return walk([start], 0);
+}
+
+function allCells() {
+  return Array.from({ length: SIZE * SIZE }, (_, i) => [Math.floor(i / SIZE), i % SIZE]);
+}
+
+function contains(cells, row, col) {
+  return cells.some(([r, c]) => r === row && c === col);
+}
+
+function neighbours(row, col) {
+  return KING_MOVES.map(([dr, dc]) => [row + dr, col + dc]).filter(
+    ([r, c]) => r >= 0 && r < SIZE && c >= 0 && c < SIZE
+  );
+}
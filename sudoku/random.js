@@ -0,0 +1,46 @@
+/**
+ * Seeded randomness so a difficulty plus a seed always yields the same puzzle,
+ * whether it is generated in the worker or on the main thread.
+ */
+
+/**
+ * Mulberry32 generator. Returns a function that, like Math.random,
+ * yields floats in [0, 1), always in the same order for a given seed.
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * FNV-1a hash, used to turn strings such as "hard:48213" into seeds.
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * A fresh five-digit puzzle number.
+ */
+export function randomSeed() {
+  return Math.floor(10000 + Math.random() * 90000);
+}
+
+export function shuffle(arr, random = Math.random) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
@@ -0,0 +1,28 @@
+/**
+ * Solve replays. A replay is the list of every value and note action of a
+ * game as steps { at, changes }: `at` in milliseconds on the game timer
+ * and `changes` as SudokuBoard#endMove gives them, always applied
+ * forwards, so an undo is recorded as the changes that take its move back.
+ */
+
+export function invertChanges(changes) {
+  return changes.map(([cell, before, after]) => [cell, after, before]).reverse();
+}
+
+/**
+ * Brings a replay board to time `at`, applying the steps up to then and
+ * taking later ones back. `shown` is how many steps the board shows
+ * already; returns how many it shows now.
+ */
+export function seekReplay(board, steps, shown, at) {
+  let count = shown;
+  while (count < steps.length && steps[count].at <= at) {
+    board.applyChanges(steps[count].changes);
+    count += 1;
+  }
+  while (count > 0 && steps[count - 1].at > at) {
+    count -= 1;
+    board.applyChanges(invertChanges(steps[count].changes));
+  }
+  return count;
+}
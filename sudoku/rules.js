@@ -0,0 +1,445 @@
+/**
+ * Rules a puzzle declares. A game keeps them as plain data so they save
+ * with it; no rules (null) means classic Sudoku. For example:
+ *   { constraints: ['diagonal'] }                         X-Sudoku
+ *   { cages: [{ sum: 15, cells: [[0, 0], [0, 1]] }] }     Killer
+ *   { regions: [[0, 0, 0, 1, ...], ...] }                 Jigsaw: the region
+ *                                                         of every cell
+ *   { size: 6 }                                           a 6x6 grid
+ *   { thermos: [[[4, 4], [4, 5], [3, 5]]] }               thermometers, bulb first
+ *   { arrows: [{ circle: [0, 0], cells: [[0, 1], [0, 2]] }] }
+ *                                                         arrows: the circle is
+ *                                                         the sum of the cells
+ *   { dots: [{ type: 'white', cells: [[0, 0], [0, 1]] }] }
+ *                                                         Kropki dots: white
+ *                                                         joins consecutive
+ *                                                         digits, black a 1:2 pair
+ *   { samurai: true }                                     Samurai: five 9x9 grids
+ *                                                         on a 21x21 layout
+ * compileRules turns that into the lookups shared by the solver, the board
+ * and the grid. Cells are addressed by index (row * size + col).
+ */
+
+const SIZE = 9;
+const ALL_DIGITS = ((1 << (SIZE + 1)) - 1) & ~1;
+const compiled = new WeakMap();
+let classic = null;
+
+/**
+ * Grid sizes on offer and the [rows, cols] of their boxes. Digits past 9
+ * are shown as letters, see symbolFor.
+ */
+export const BOX_SHAPES = {
+  4: [2, 2],
+  6: [2, 3],
+  9: [3, 3],
+  12: [3, 4],
+  16: [4, 4]
+};
+const SYMBOLS = '123456789ABCDEFG';
+
+/**
+ * Top-left corners of the five Samurai grids on the 21x21 layout: the
+ * corner grids in reading order with the center grid in the middle. The
+ * center grid shares a corner box with each of the others.
+ */
+export const SAMURAI_GRIDS = [
+  [0, 0],
+  [0, 12],
+  [6, 6],
+  [12, 0],
+  [12, 12]
+];
+const SAMURAI_SIZE = 21;
+
+/**
+ * How a digit is written on the grid and the number pad: 1-9, then A-G.
+ */
+export function symbolFor(value) {
+  return value ? SYMBOLS[value - 1] : '';
+}
+
+/**
+ * Side length of the grid a rules object describes; 9 unless it says otherwise.
+ */
+export function gridSize(rules) {
+  if (rules?.samurai) return SAMURAI_SIZE;
+  return rules?.size || SIZE;
+}
+
+/**
+ * How many digits the puzzle uses: the grid's side, except on the Samurai
+ * layout, which is made of 9x9 grids.
+ */
+export function digitCount(rules) {
+  return rules?.samurai ? SIZE : gridSize(rules);
+}
+
+/**
+ * Extra constraints, by the name a puzzle lists in rules.constraints.
+ * Each adds houses (every digit exactly once) or chess-move offsets
+ * whose cells must differ.
+ */
+const CONSTRAINTS = {
+  diagonal: {
+    houses: (size) => [
+      { type: 'diagonal', index: 0, cells: Array.from({ length: size }, (_, i) => i * size + i) },
+      { type: 'diagonal', index: 1, cells: Array.from({ length: size }, (_, i) => i * size + size - 1 - i) }
+    ]
+  },
+  windoku: {
+    houses: () =>
+      [1, 5].flatMap((top) =>
+        [1, 5].map((left) => ({
+          type: 'window',
+          index: (top > 1 ? 2 : 0) + (left > 1 ? 1 : 0),
+          cells: Array.from({ length: SIZE }, (_, j) => (top + Math.floor(j / 3)) * SIZE + left + (j % 3))
+        }))
+      )
+  },
+  'anti-knight': {
+    moves: [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]]
+  },
+  'anti-king': {
+    moves: [[1, 1], [1, -1], [-1, 1], [-1, -1], [0, 1], [1, 0], [0, -1], [-1, 0]]
+  }
+};
+
+/**
+ * Constraints behind each variant offered for New Game. Killer is not
+ * listed: its cages come from the generator. Variants are 9x9 only.
+ */
+export const VARIANT_CONSTRAINTS = {
+  x: ['diagonal'],
+  windoku: ['windoku'],
+  'anti-knight': ['anti-knight'],
+  'anti-king': ['anti-king']
+};
+
+/**
+ * Returns { size, digits, inPlay, houses, cages, cageAt, thermos, arrows,
+ * dots, peers, limits } for a rules object:
+ * - digits: see digitCount
+ * - inPlay[index]: whether the cell is part of the puzzle; only the gaps
+ *   of the Samurai layout are not
+ * - houses: [{ type, index, cells }] groups holding every digit exactly
+ *   once; type is 'row', 'col', 'box' (a jigsaw region when the rules
+ *   have regions), 'diagonal' or 'window'. Samurai houses are numbered
+ *   grid * 9 + position within the grid (see SAMURAI_GRIDS); a box two
+ *   grids share is listed once, under the first
+ * - cages: [{ sum, cells: [index] }]
+ * - cageAt[index]: position in cages, or -1
+ * - thermos: [[index]], bulb first
+ * - arrows: [{ circle, cells: [index] }]
+ * - dots: [{ type, cells: [index, index] }]
+ * - peers[index]: cells that may not repeat the cell's digit
+ * - limits[index]: functions of the flat values array (0 = empty) giving
+ *   a bitmask of the digits the cell may hold (bit d = digit d); each
+ *   returns 0 once a rule is broken
+ * Results are cached per rules object.
+ */
+export function compileRules(rules) {
+  if (!rules && classic) return classic;
+  if (rules && compiled.has(rules)) return compiled.get(rules);
+  const size = gridSize(rules);
+  const digits = digitCount(rules);
+  const cells = size * size;
+  const peerSets = Array.from({ length: cells }, () => new Set());
+  const limits = Array.from({ length: cells }, () => []);
+  const cageAt = new Array(cells).fill(-1);
+  const constraints = (rules?.constraints || []).map((name) => {
+    if (!CONSTRAINTS[name]) throw new Error(`Unknown constraint: ${name}`);
+    return CONSTRAINTS[name];
+  });
+
+  const houses = rules?.samurai ? samuraiHouses() : gridHouses(rules);
+  const inPlay = new Array(cells).fill(false);
+  houses.forEach(({ cells: house }) => house.forEach((cell) => (inPlay[cell] = true)));
+  constraints.forEach((constraint) => {
+    if (constraint.houses) houses.push(...constraint.houses(size));
+  });
+  houses.forEach(({ cells: house }) => {
+    house.forEach((a) => house.forEach((b) => a !== b && peerSets[a].add(b)));
+  });
+
+  constraints.forEach(({ moves }) => {
+    if (!moves) return;
+    for (let cell = 0; cell < cells; cell++) {
+      const row = Math.floor(cell / size);
+      const col = cell % size;
+      moves.forEach(([dr, dc]) => {
+        const r = row + dr;
+        const c = col + dc;
+        if (r >= 0 && r < size && c >= 0 && c < size) peerSets[cell].add(r * size + c);
+      });
+    }
+  });
+
+  const cages = (rules?.cages || []).map(({ sum, cells: cageCells }) => ({
+    sum,
+    cells: cageCells.map(([row, col]) => row * size + col)
+  }));
+  cages.forEach((cage, index) => {
+    const limit = cageMask(cage);
+    cage.cells.forEach((cell) => {
+      cageAt[cell] = index;
+      limits[cell].push(limit);
+      // Digits never repeat within a cage.
+      cage.cells.forEach((other) => other !== cell && peerSets[cell].add(other));
+    });
+  });
+
+  const toIndex = ([row, col]) => row * size + col;
+  const thermos = (rules?.thermos || []).map((thermo) => thermo.map(toIndex));
+  thermos.forEach((thermo) =>
+    thermo.forEach((cell, position) => {
+      limits[cell].push(thermoMask(thermo, position, digits));
+      // Strictly increasing, so no two cells share a digit.
+      thermo.forEach((other) => other !== cell && peerSets[cell].add(other));
+    })
+  );
+
+  const arrows = (rules?.arrows || []).map(({ circle, cells: arrowCells }) => ({
+    circle: toIndex(circle),
+    cells: arrowCells.map(toIndex)
+  }));
+  arrows.forEach((arrow) => {
+    [arrow.circle, ...arrow.cells].forEach((cell) => limits[cell].push(arrowMask(arrow, cell, digits)));
+    // Digits may repeat along an arrow, but with two or more cells each
+    // one is below the circle.
+    if (arrow.cells.length < 2) return;
+    arrow.cells.forEach((cell) => {
+      peerSets[cell].add(arrow.circle);
+      peerSets[arrow.circle].add(cell);
+    });
+  });
+
+  const dots = (rules?.dots || []).map(({ type, cells: pair }) => ({ type, cells: pair.map(toIndex) }));
+  dots.forEach((dot) => {
+    const [a, b] = dot.cells;
+    limits[a].push(dotMask(dot, a, digits));
+    limits[b].push(dotMask(dot, b, digits));
+    // Neither rule lets the two digits be equal.
+    peerSets[a].add(b);
+    peerSets[b].add(a);
+  });
+
+  // The 45 rule: what a house's own cages leave uncovered must add up to
+  // the rest of 45, which acts as one more (hidden) cage.
+  if (cages.length) {
+    const houseTotal = (SIZE * (SIZE + 1)) / 2;
+    houses.forEach(({ cells: house }) => {
+      const inside = new Set(house);
+      let rest = houseTotal;
+      const covered = new Set();
+      cages.forEach((cage) => {
+        if (!cage.cells.every((cell) => inside.has(cell))) return;
+        rest -= cage.sum;
+        cage.cells.forEach((cell) => covered.add(cell));
+      });
+      const remainder = house.filter((cell) => !covered.has(cell));
+      if (!covered.size) return;
+      const limit = cageMask({ sum: rest, cells: remainder });
+      remainder.forEach((cell) => limits[cell].push(limit));
+    });
+  }
+
+  const result = { size, digits, inPlay, houses, cages, cageAt, thermos, arrows, dots, peers: peerSets.map((set) => [...set]), limits };
+  if (rules) compiled.set(rules, result);
+  else classic = result;
+  return result;
+}
+
+/**
+ * Box (region) of every cell as a size x size array of region indexes: the
+ * jigsaw regions when a puzzle has them, otherwise the regular boxes. On
+ * the Samurai layout these are the box house indexes, and -1 off the grids.
+ */
+export function regionMap(rules) {
+  if (rules?.regions) return rules.regions;
+  const size = gridSize(rules);
+  if (rules?.samurai) {
+    if (!classicRegions.has(size)) {
+      const map = Array.from({ length: size }, () => Array(size).fill(-1));
+      samuraiHouses().forEach(({ type, index, cells }) => {
+        if (type === 'box') cells.forEach((cell) => (map[Math.floor(cell / size)][cell % size] = index));
+      });
+      classicRegions.set(size, map);
+    }
+    return classicRegions.get(size);
+  }
+  if (!classicRegions.has(size)) {
+    const [boxRows, boxCols] = BOX_SHAPES[size];
+    const perRow = size / boxCols;
+    classicRegions.set(
+      size,
+      Array.from({ length: size }, (_, r) =>
+        Array.from({ length: size }, (_, c) => Math.floor(r / boxRows) * perRow + Math.floor(c / boxCols))
+      )
+    );
+  }
+  return classicRegions.get(size);
+}
+
+const classicRegions = new Map();
+
+// Rows, columns and boxes of a single grid.
+function gridHouses(rules) {
+  const size = gridSize(rules);
+  const boxes = regionCells(rules);
+  const houses = [];
+  for (let i = 0; i < size; i++) {
+    houses.push({ type: 'row', index: i, cells: Array.from({ length: size }, (_, j) => i * size + j) });
+    houses.push({ type: 'col', index: i, cells: Array.from({ length: size }, (_, j) => j * size + i) });
+    houses.push({ type: 'box', index: i, cells: boxes[i] });
+  }
+  return houses;
+}
+
+// Rows, columns and boxes of each of the five Samurai grids.
+function samuraiHouses() {
+  const houses = [];
+  const seenBoxes = new Set();
+  const at = (row, col) => row * SAMURAI_SIZE + col;
+  SAMURAI_GRIDS.forEach(([top, left], grid) => {
+    for (let i = 0; i < SIZE; i++) {
+      const index = grid * SIZE + i;
+      houses.push({ type: 'row', index, cells: Array.from({ length: SIZE }, (_, j) => at(top + i, left + j)) });
+      houses.push({ type: 'col', index, cells: Array.from({ length: SIZE }, (_, j) => at(top + j, left + i)) });
+      const boxTop = top + Math.floor(i / 3) * 3;
+      const boxLeft = left + (i % 3) * 3;
+      if (seenBoxes.has(at(boxTop, boxLeft))) continue;
+      seenBoxes.add(at(boxTop, boxLeft));
+      houses.push({
+        type: 'box',
+        index,
+        cells: Array.from({ length: SIZE }, (_, j) => at(boxTop + Math.floor(j / 3), boxLeft + (j % 3)))
+      });
+    }
+  });
+  return houses;
+}
+
+// Cell indexes of each box, in reading order.
+function regionCells(rules) {
+  const size = gridSize(rules);
+  const boxes = Array.from({ length: size }, () => []);
+  regionMap(rules).forEach((row, r) => row.forEach((box, c) => boxes[box].push(r * size + c)));
+  if (boxes.some((cells) => cells.length !== size)) throw new Error('Every region needs one cell per digit');
+  return boxes;
+}
+
+// Digit sets as bitmasks (bit d = digit d), grouped by `${size}:${sum}`.
+const COMBO_MASKS = buildComboMasks();
+
+function buildComboMasks() {
+  const table = new Map();
+  for (let mask = 2; mask < 1 << (SIZE + 1); mask += 2) {
+    let size = 0;
+    let sum = 0;
+    for (let d = 1; d <= SIZE; d++) {
+      if (mask & (1 << d)) {
+        size += 1;
+        sum += d;
+      }
+    }
+    const key = `${size}:${sum}`;
+    if (!table.has(key)) table.set(key, []);
+    table.get(key).push(mask);
+  }
+  return table;
+}
+
+// Digits the open cells of a cage may still take: the union of every
+// combination that completes the sum without reusing a placed digit.
+// A full cage returns 0 when its sum is wrong.
+function cageMask({ sum, cells }) {
+  return (values) => {
+    let total = 0;
+    let open = 0;
+    let used = 0;
+    cells.forEach((cell) => {
+      const value = values[cell];
+      if (value) {
+        total += value;
+        used |= 1 << value;
+      } else {
+        open += 1;
+      }
+    });
+    if (!open) return total === sum ? ALL_DIGITS : 0;
+    let allowed = 0;
+    (COMBO_MASKS.get(`${open}:${sum - total}`) || []).forEach((mask) => {
+      if (!(mask & used)) allowed |= mask;
+    });
+    return allowed;
+  };
+}
+
+// Digits low..high as a bitmask, clamped to 1..size; 0 when the range is empty.
+function rangeMask(low, high, size) {
+  const from = Math.max(low, 1);
+  const to = Math.min(high, size);
+  if (from > to) return 0;
+  return ((1 << (to + 1)) - 1) & ~((1 << from) - 1);
+}
+
+// A thermometer cell sits above every filled cell before it and below every
+// filled cell after it, leaving one step per cell in between.
+function thermoMask(thermo, position, size) {
+  return (values) => {
+    let low = position + 1;
+    let high = size - (thermo.length - 1 - position);
+    thermo.forEach((cell, i) => {
+      const value = values[cell];
+      if (!value || i === position) return;
+      if (i < position) low = Math.max(low, value + position - i);
+      else high = Math.min(high, value - (i - position));
+    });
+    return rangeMask(low, high, size);
+  };
+}
+
+// The circle holds the sum of the arrow's cells; every open cell adds at
+// least 1. A cell on the arrow is what the circle leaves over.
+function arrowMask({ circle, cells }, cell, size) {
+  return (values) => {
+    let total = 0;
+    let open = 0;
+    cells.forEach((other) => {
+      if (other === cell) return;
+      if (values[other]) total += values[other];
+      else open += 1;
+    });
+    if (cell === circle) return open ? rangeMask(total + open, size, size) : rangeMask(total, total, size);
+    const target = values[circle];
+    if (!target) return rangeMask(1, size - total - open, size);
+    const rest = target - total;
+    return open ? rangeMask(1, rest - open, size) : rangeMask(rest, rest, size);
+  };
+}
+
+/**
+ * Whether two digits satisfy a Kropki dot: white for consecutive digits,
+ * black for one being double the other.
+ */
+export function dotHolds(type, a, b) {
+  return type === 'black' ? a === 2 * b || b === 2 * a : Math.abs(a - b) === 1;
+}
+
+// Digits that have a partner across the dot, or that fit the partner
+// already placed.
+function dotMask({ type, cells }, cell, size) {
+  const other = cells[0] === cell ? cells[1] : cells[0];
+  const fitting = [];
+  for (let partner = 0; partner <= size; partner++) {
+    let mask = 0;
+    for (let d = 1; d <= size; d++) {
+      for (let p = 1; p <= size; p++) {
+        if ((!partner || p === partner) && dotHolds(type, d, p)) mask |= 1 << d;
+      }
+    }
+    fitting.push(mask);
+  }
+  return (values) => fitting[values[other]];
+}
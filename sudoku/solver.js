@@ -1,9 +1,16 @@
+import { shuffle } from './random.js';
+import { compileRules } from './rules.js';
+
 /**
- * Backtracking Sudoku solver. Optionally randomizes candidate order.
+ * Backtracking Sudoku solver. Optionally randomizes candidate order;
+ * pass a function from createRandom instead of true to make it repeatable.
  * The optional onSolution callback is invoked each time a complete
  * solution is found; return true from it to stop searching early.
+ * Pass rules (see rules.js) to solve a variant such as Killer, or a grid
+ * that is not 9x9.
  */
-export function solveBoard(board, randomize = false, onSolution = null) {
+export function solveBoard(board, randomize = false, onSolution = null, rules = null) {
+  if (rules) return !!solveWithRules(board, rules, { randomize, onSolution });
   const empty = findEmpty(board);
   if (!empty) {
     if (onSolution) {
@@ -16,7 +23,7 @@ export function solveBoard(board, randomize = false, onSolution = null) {
   const [row, col] = empty;
   const candidates = [];
   for (let i = 1; i <= 9; i++) candidates.push(i);
-  if (randomize) shuffle(candidates);
+  if (randomize) shuffle(candidates, typeof randomize === 'function' ? randomize : Math.random);
 
   for (const num of candidates) {
     if (isSafe(board, row, col, num)) {
@@ -31,6 +38,98 @@ export function solveBoard(board, randomize = false, onSolution = null) {
   return false;
 }
 
+/**
+ * Solver for variant rules (see rules.js), with the same board, randomize
+ * and onSolution semantics as solveBoard. maxNodes caps the search; when
+ * it runs out the result is null, meaning "unknown", instead of a boolean.
+ */
+export function solveWithRules(board, rules, { randomize = false, onSolution = null, maxNodes = Infinity } = {}) {
+  const { size, digits, inPlay, houses, peers, limits } = compileRules(rules);
+  const values = board.flat();
+  const open = values.map((_, cell) => cell).filter((cell) => inPlay[cell]);
+  const random = typeof randomize === 'function' ? randomize : Math.random;
+
+  const candidateMask = (cell) => {
+    let mask = ((1 << (digits + 1)) - 1) & ~1;
+    peers[cell].forEach((peer) => {
+      mask &= ~(1 << values[peer]);
+    });
+    for (let i = 0; i < limits[cell].length && mask; i++) mask &= limits[cell][i](values, cell);
+    return mask;
+  };
+  const givensFit = values.every((value, cell) => {
+    if (!value) return true;
+    values[cell] = 0;
+    const fits = !!(candidateMask(cell) & (1 << value));
+    values[cell] = value;
+    return fits;
+  });
+  if (!givensFit) return false;
+
+  // Branches on whichever is most constrained: the cell with the fewest
+  // candidates, or the digit with the fewest places left in a house.
+  const masks = new Array(values.length);
+  let nodes = 0;
+  const search = () => {
+    nodes += 1;
+    if (nodes > maxNodes) return true;
+    let options = null;
+    for (const i of open) {
+      if (values[i]) continue;
+      const mask = candidateMask(i);
+      if (!mask) return false;
+      masks[i] = mask;
+      const count = bitCount(mask);
+      if (!options || count < options.length) {
+        options = [];
+        for (let d = 1; d <= digits; d++) {
+          if (mask & (1 << d)) options.push([i, d]);
+        }
+        if (count === 1) break;
+      }
+    }
+    if (!options) {
+      values.forEach((value, i) => {
+        board[Math.floor(i / size)][i % size] = value;
+      });
+      return onSolution ? !!onSolution(board) : true;
+    }
+    if (options.length > 1) {
+      for (const house of houses) {
+        for (let d = 1; d <= digits; d++) {
+          const bit = 1 << d;
+          const spots = [];
+          let placed = false;
+          for (const cell of house.cells) {
+            if (values[cell] === d) placed = true;
+            else if (!values[cell] && masks[cell] & bit) spots.push([cell, d]);
+          }
+          if (placed) continue;
+          if (!spots.length) return false;
+          if (spots.length < options.length) options = spots;
+        }
+      }
+    }
+    if (randomize) shuffle(options, random);
+    for (const [cell, value] of options) {
+      values[cell] = value;
+      const done = search();
+      values[cell] = 0;
+      if (done) return true;
+    }
+    return false;
+  };
+
+  const found = search();
+  return nodes > maxNodes ? null : found;
+}
+
+function bitCount(mask) {
+  let count = 0;
+  for (let m = mask; m; m &= m - 1) count += 1;
+  return count;
+}
+
 function findEmpty(board) {
   for (let r = 0; r < 9; r++) {
     for (let c = 0; c < 9; c++) {
@@ -40,24 +139,498 @@ function findEmpty(board) {
   return null;
 }
 
-function isSafe(board, row, col, val) {
-  for (let i = 0; i < 9; i++) {
-    if (board[row][i] === val || board[i][col] === val) return false;
+function isSafe(board, row, col, val, rules = null) {
+  const { peers, size } = compileRules(rules);
+  return peers[row * size + col].every((peer) => board[Math.floor(peer / size)][peer % size] !== val);
+}
+
+/**
+ * Named techniques the logical solver knows, in the order it tries them.
+ * Cheaper deductions come first so every step is the simplest one available.
+ * `score` is what one use of the technique adds to a puzzle's grade.
+ */
+export const TECHNIQUES = [
+  { id: 'naked-single', name: 'Naked Single', score: 1 },
+  { id: 'hidden-single', name: 'Hidden Single', score: 2 },
+  { id: 'naked-pair', name: 'Naked Pair', score: 5 },
+  { id: 'hidden-pair', name: 'Hidden Pair', score: 6 },
+  { id: 'pointing-pair', name: 'Pointing Pair', score: 7 },
+  { id: 'box-line-reduction', name: 'Box/Line Reduction', score: 8 },
+  { id: 'naked-triple', name: 'Naked Triple', score: 10 },
+  { id: 'hidden-triple', name: 'Hidden Triple', score: 12 },
+  { id: 'naked-quad', name: 'Naked Quad', score: 14 },
+  { id: 'hidden-quad', name: 'Hidden Quad', score: 16 },
+  { id: 'x-wing', name: 'X-Wing', score: 20 },
+  { id: 'swordfish', name: 'Swordfish', score: 24 },
+  { id: 'xy-wing', name: 'XY-Wing', score: 26 },
+  { id: 'simple-coloring', name: 'Simple Coloring', score: 28 }
+];
+
+const STEP_FINDERS = {
+  'naked-single': findNakedSingle,
+  'hidden-single': findHiddenSingle,
+  'naked-pair': (grid, cands, layout) => findNakedSubset(grid, cands, layout, 2, 'naked-pair'),
+  'hidden-pair': (grid, cands, layout) => findHiddenSubset(grid, cands, layout, 2, 'hidden-pair'),
+  'pointing-pair': findPointing,
+  'box-line-reduction': findBoxLineReduction,
+  'naked-triple': (grid, cands, layout) => findNakedSubset(grid, cands, layout, 3, 'naked-triple'),
+  'hidden-triple': (grid, cands, layout) => findHiddenSubset(grid, cands, layout, 3, 'hidden-triple'),
+  'naked-quad': (grid, cands, layout) => findNakedSubset(grid, cands, layout, 4, 'naked-quad'),
+  'hidden-quad': (grid, cands, layout) => findHiddenSubset(grid, cands, layout, 4, 'hidden-quad'),
+  'x-wing': (grid, cands, layout) => findFish(grid, cands, layout, 2, 'x-wing'),
+  swordfish: (grid, cands, layout) => findFish(grid, cands, layout, 3, 'swordfish'),
+  'xy-wing': findXYWing,
+  'simple-coloring': findSimpleColoring
+};
+
+/**
+ * Builds the pencil-mark grid for a board: a Set of possible digits for
+ * every empty cell and an empty Set for every filled one. Pass the
+ * puzzle's rules (see rules.js) for a variant, whose limits (such as
+ * Killer cage sums) narrow the sets too; this and the functions below
+ * default to classic rules.
+ */
+export function createCandidates(grid, rules = null) {
+  const { digits, inPlay, limits } = compileRules(rules);
+  const values = grid.flat();
+  return grid.map((row, r) =>
+    row.map((val, c) => {
+      const set = new Set();
+      const cell = r * grid.length + c;
+      if (val !== 0 || !inPlay[cell]) return set;
+      const mask = limits[cell].reduce((allowed, limit) => allowed & limit(values, cell), ~0);
+      for (let n = 1; n <= digits; n++) {
+        if ((mask & (1 << n)) && isSafe(grid, r, c, n, rules)) set.add(n);
+      }
+      return set;
+    })
+  );
+}
+
+/**
+ * Finds the simplest logical deduction available on the grid.
+ * Returns a step describing the technique, the cells and houses it used
+ * and the digits it places or eliminates, or null when no known
+ * technique applies. Pass `techniques` (ids) to restrict the search.
+ */
+export function findLogicalStep(grid, candidates = null, { techniques = null, rules = null } = {}) {
+  const layout = layoutFor(rules);
+  const cands = candidates || createCandidates(grid, rules);
+  for (const { id } of TECHNIQUES) {
+    if (techniques && !techniques.includes(id)) continue;
+    const step = STEP_FINDERS[id](grid, cands, layout);
+    if (step) return step;
   }
-  const startRow = Math.floor(row / 3) * 3;
-  const startCol = Math.floor(col / 3) * 3;
-  for (let r = startRow; r < startRow + 3; r++) {
-    for (let c = startCol; c < startCol + 3; c++) {
-      if (board[r][c] === val) return false;
+  return null;
+}
+
+/**
+ * Applies a step in place: placements fill the grid and clear the digit
+ * from peers, eliminations remove candidates.
+ */
+export function applyLogicalStep(grid, candidates, step, rules = null) {
+  const layout = layoutFor(rules);
+  step.placements.forEach(({ row, col, value }) => {
+    grid[row][col] = value;
+    candidates[row][col].clear();
+    layout.peers(row, col).forEach((peer) => candidates[peer.row][peer.col].delete(value));
+  });
+  step.eliminations.forEach(({ row, col, value }) => {
+    candidates[row][col].delete(value);
+  });
+}
+
+/**
+ * Solves a puzzle the way a person would, one named technique at a time.
+ * The puzzle is not modified. `solved` is false when the solver ran out
+ * of techniques before the grid was full (the puzzle needs guessing).
+ */
+export function solveLogically(puzzle, { techniques = null, rules = null } = {}) {
+  const grid = puzzle.map((row) => [...row]);
+  const candidates = createCandidates(grid, rules);
+  const steps = [];
+  let step = findLogicalStep(grid, candidates, { techniques, rules });
+  while (step) {
+    applyLogicalStep(grid, candidates, step, rules);
+    steps.push(step);
+    step = findLogicalStep(grid, candidates, { techniques, rules });
+  }
+  const { inPlay } = compileRules(rules);
+  const solved = grid.every((row, r) => row.every((v, c) => v !== 0 || !inPlay[r * grid.length + c]));
+  return { solved, grid, steps };
+}
+
+// Units and peers for the logical solver, from the compiled rules: jigsaw
+// regions replace the boxes, extra houses join the units, and any rule
+// that keeps two cells apart makes them "see" each other.
+const layouts = new WeakMap();
+
+function layoutFor(rules) {
+  const model = compileRules(rules);
+  if (layouts.has(model)) return layouts.get(model);
+  const { size, digits, houses, peers } = model;
+  const toCell = (index) => ({ row: Math.floor(index / size), col: index % size });
+  const boxAt = [];
+  const units = houses.map(({ type, index, cells }) => {
+    if (type === 'box') cells.forEach((cell) => (boxAt[cell] = index));
+    return { type, index, cells: cells.map(toCell) };
+  });
+  const peerSets = peers.map((list) => new Set(list));
+  const layout = {
+    size,
+    digits,
+    units,
+    boxIndex: (row, col) => boxAt[row * size + col],
+    sees: (a, b) => peerSets[a.row * size + a.col].has(b.row * size + b.col),
+    peers: (row, col) => peers[row * size + col].map(toCell)
+  };
+  layouts.set(model, layout);
+  return layout;
+}
+
+function inUnit(unit, { row, col }) {
+  return unit.cells.some((cell) => cell.row === row && cell.col === col);
+}
+
+function house(unit) {
+  return { type: unit.type, index: unit.index };
+}
+
+function makeStep(technique, fields) {
+  return {
+    technique,
+    digits: [],
+    cells: [],
+    houses: [],
+    placements: [],
+    eliminations: [],
+    ...fields
+  };
+}
+
+function* combinations(items, size, start = 0, picked = []) {
+  if (picked.length === size) {
+    yield [...picked];
+    return;
+  }
+  for (let i = start; i <= items.length - (size - picked.length); i++) {
+    picked.push(items[i]);
+    yield* combinations(items, size, i + 1, picked);
+    picked.pop();
+  }
+}
+
+function positionsOf(unit, candidates, digit) {
+  return unit.cells.filter(({ row, col }) => candidates[row][col].has(digit));
+}
+
+function unitHasValue(grid, unit, digit) {
+  return unit.cells.some(({ row, col }) => grid[row][col] === digit);
+}
+
+function findNakedSingle(grid, candidates, layout) {
+  for (let r = 0; r < layout.size; r++) {
+    for (let c = 0; c < layout.size; c++) {
+      if (grid[r][c] !== 0 || candidates[r][c].size !== 1) continue;
+      const [value] = candidates[r][c];
+      return makeStep('naked-single', {
+        digits: [value],
+        cells: [{ row: r, col: c }],
+        placements: [{ row: r, col: c, value }]
+      });
+    }
+  }
+  return null;
+}
+
+function findHiddenSingle(grid, candidates, layout) {
+  // Boxes first: that is where people usually spot hidden singles.
+  const ordered = [...layout.units].sort((a, b) => (a.type === 'box' ? 0 : 1) - (b.type === 'box' ? 0 : 1));
+  for (const unit of ordered) {
+    for (let n = 1; n <= layout.digits; n++) {
+      if (unitHasValue(grid, unit, n)) continue;
+      const spots = positionsOf(unit, candidates, n);
+      if (spots.length !== 1) continue;
+      const [{ row, col }] = spots;
+      return makeStep('hidden-single', {
+        digits: [n],
+        cells: [{ row, col }],
+        houses: [house(unit)],
+        placements: [{ row, col, value: n }]
+      });
+    }
+  }
+  return null;
+}
+
+function findNakedSubset(grid, candidates, layout, size, technique) {
+  for (const unit of layout.units) {
+    const open = unit.cells.filter(({ row, col }) => {
+      const count = candidates[row][col].size;
+      return grid[row][col] === 0 && count >= 2 && count <= size;
+    });
+    if (open.length < size) continue;
+    for (const subset of combinations(open, size)) {
+      const digits = new Set();
+      subset.forEach(({ row, col }) => candidates[row][col].forEach((v) => digits.add(v)));
+      if (digits.size !== size) continue;
+      const eliminations = [];
+      unit.cells.forEach(({ row, col }) => {
+        if (subset.some((cell) => cell.row === row && cell.col === col)) return;
+        digits.forEach((value) => {
+          if (candidates[row][col].has(value)) eliminations.push({ row, col, value });
+        });
+      });
+      if (!eliminations.length) continue;
+      return makeStep(technique, {
+        digits: [...digits].sort((a, b) => a - b),
+        cells: subset.map(({ row, col }) => ({ row, col })),
+        houses: [house(unit)],
+        eliminations
+      });
+    }
+  }
+  return null;
+}
+
+function findHiddenSubset(grid, candidates, layout, size, technique) {
+  for (const unit of layout.units) {
+    const spotsByDigit = new Map();
+    for (let n = 1; n <= layout.digits; n++) {
+      if (unitHasValue(grid, unit, n)) continue;
+      const spots = positionsOf(unit, candidates, n);
+      if (spots.length >= 2 && spots.length <= size) spotsByDigit.set(n, spots);
+    }
+    if (spotsByDigit.size < size) continue;
+    for (const digits of combinations([...spotsByDigit.keys()], size)) {
+      const cellMap = new Map();
+      digits.forEach((n) => {
+        spotsByDigit.get(n).forEach((cell) => cellMap.set(`${cell.row},${cell.col}`, cell));
+      });
+      if (cellMap.size !== size) continue;
+      const subset = [...cellMap.values()];
+      const eliminations = [];
+      subset.forEach(({ row, col }) => {
+        candidates[row][col].forEach((value) => {
+          if (!digits.includes(value)) eliminations.push({ row, col, value });
+        });
+      });
+      if (!eliminations.length) continue;
+      return makeStep(technique, {
+        digits,
+        cells: subset.map(({ row, col }) => ({ row, col })),
+        houses: [house(unit)],
+        eliminations
+      });
+    }
+  }
+  return null;
+}
+
+function findPointing(grid, candidates, layout) {
+  for (const unit of layout.units) {
+    if (unit.type !== 'box') continue;
+    for (let n = 1; n <= layout.digits; n++) {
+      const spots = positionsOf(unit, candidates, n);
+      if (spots.length < 2) continue;
+      // Every row or column holding all the spots; on the Samurai layout a
+      // shared box can point along a line of either grid.
+      const lines = layout.units.filter(
+        (u) => (u.type === 'row' || u.type === 'col') && spots.every((cell) => inUnit(u, cell))
+      );
+      for (const target of lines) {
+        const eliminations = target.cells
+          .filter(({ row, col }) => layout.boxIndex(row, col) !== unit.index && candidates[row][col].has(n))
+          .map(({ row, col }) => ({ row, col, value: n }));
+        if (!eliminations.length) continue;
+        return makeStep('pointing-pair', {
+          digits: [n],
+          cells: spots.map(({ row, col }) => ({ row, col })),
+          houses: [house(unit), house(target)],
+          eliminations
+        });
+      }
+    }
+  }
+  return null;
+}
+
+function findBoxLineReduction(grid, candidates, layout) {
+  for (const unit of layout.units) {
+    if (unit.type !== 'row' && unit.type !== 'col') continue;
+    for (let n = 1; n <= layout.digits; n++) {
+      const spots = positionsOf(unit, candidates, n);
+      if (spots.length < 2) continue;
+      const box = layout.boxIndex(spots[0].row, spots[0].col);
+      if (!spots.every((cell) => layout.boxIndex(cell.row, cell.col) === box)) continue;
+      const target = layout.units.find((u) => u.type === 'box' && u.index === box);
+      const eliminations = target.cells
+        .filter((cell) => !inUnit(unit, cell) && candidates[cell.row][cell.col].has(n))
+        .map(({ row, col }) => ({ row, col, value: n }));
+      if (!eliminations.length) continue;
+      return makeStep('box-line-reduction', {
+        digits: [n],
+        cells: spots.map(({ row, col }) => ({ row, col })),
+        houses: [house(unit), house(target)],
+        eliminations
+      });
+    }
+  }
+  return null;
+}
+
+function findFish(grid, candidates, layout, size, technique) {
+  // Rows and columns are numbered by grid line here, so the Samurai layout,
+  // whose lines stop at the edge of each 9x9 grid, goes without fish.
+  if (layout.size !== layout.digits) return null;
+  for (const baseType of ['row', 'col']) {
+    const coverType = baseType === 'row' ? 'col' : 'row';
+    const baseUnits = layout.units.filter((u) => u.type === baseType);
+    for (let n = 1; n <= layout.digits; n++) {
+      const bases = [];
+      baseUnits.forEach((unit) => {
+        const spots = positionsOf(unit, candidates, n);
+        if (spots.length >= 2 && spots.length <= size) bases.push({ unit, spots });
+      });
+      if (bases.length < size) continue;
+      for (const picked of combinations(bases, size)) {
+        const covers = new Set();
+        picked.forEach(({ spots }) => spots.forEach((cell) => covers.add(cell[coverType])));
+        if (covers.size !== size) continue;
+        const baseIndexes = new Set(picked.map(({ unit }) => unit.index));
+        const eliminations = [];
+        covers.forEach((index) => {
+          const cover = layout.units.find((u) => u.type === coverType && u.index === index);
+          cover.cells.forEach(({ row, col }) => {
+            const baseIndex = baseType === 'row' ? row : col;
+            if (!baseIndexes.has(baseIndex) && candidates[row][col].has(n)) {
+              eliminations.push({ row, col, value: n });
+            }
+          });
+        });
+        if (!eliminations.length) continue;
+        return makeStep(technique, {
+          digits: [n],
+          cells: picked.flatMap(({ spots }) => spots.map(({ row, col }) => ({ row, col }))),
+          houses: [
+            ...picked.map(({ unit }) => house(unit)),
+            ...[...covers].sort((a, b) => a - b).map((index) => ({ type: coverType, index }))
+          ],
+          eliminations
+        });
+      }
+    }
+  }
+  return null;
+}
+
+function findXYWing(grid, candidates, layout) {
+  const bivalue = [];
+  for (let r = 0; r < layout.size; r++) {
+    for (let c = 0; c < layout.size; c++) {
+      if (candidates[r][c].size === 2) bivalue.push({ row: r, col: c, digits: [...candidates[r][c]] });
+    }
+  }
+  for (const pivot of bivalue) {
+    const [x, y] = pivot.digits;
+    const wings = bivalue.filter((cell) => layout.sees(pivot, cell));
+    for (const a of wings) {
+      if (!a.digits.includes(x) || a.digits.includes(y)) continue;
+      const z = a.digits.find((d) => d !== x);
+      for (const b of wings) {
+        if (b === a || !b.digits.includes(y) || !b.digits.includes(z)) continue;
+        const eliminations = [];
+        for (let r = 0; r < layout.size; r++) {
+          for (let c = 0; c < layout.size; c++) {
+            const target = { row: r, col: c };
+            if (!candidates[r][c].has(z)) continue;
+            if ((r === a.row && c === a.col) || (r === b.row && c === b.col)) continue;
+            if (layout.sees(target, a) && layout.sees(target, b)) eliminations.push({ row: r, col: c, value: z });
+          }
+        }
+        if (!eliminations.length) continue;
+        return makeStep('xy-wing', {
+          digits: [x, y, z],
+          cells: [pivot, a, b].map(({ row, col }) => ({ row, col })),
+          eliminations
+        });
+      }
     }
   }
-  return true;
+  return null;
 }
 
-function shuffle(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
+function findSimpleColoring(grid, candidates, layout) {
+  for (let n = 1; n <= layout.digits; n++) {
+    const links = new Map();
+    const link = (a, b) => {
+      const ka = `${a.row},${a.col}`;
+      const kb = `${b.row},${b.col}`;
+      if (!links.has(ka)) links.set(ka, { cell: a, next: [] });
+      if (!links.has(kb)) links.set(kb, { cell: b, next: [] });
+      links.get(ka).next.push(kb);
+      links.get(kb).next.push(ka);
+    };
+    layout.units.forEach((unit) => {
+      const spots = positionsOf(unit, candidates, n);
+      if (spots.length === 2) link(spots[0], spots[1]);
+    });
+
+    const colorOf = new Map();
+    for (const start of links.keys()) {
+      if (colorOf.has(start)) continue;
+      const chain = [];
+      const queue = [start];
+      colorOf.set(start, 0);
+      while (queue.length) {
+        const key = queue.shift();
+        chain.push(key);
+        links.get(key).next.forEach((nextKey) => {
+          if (colorOf.has(nextKey)) return;
+          colorOf.set(nextKey, 1 - colorOf.get(key));
+          queue.push(nextKey);
+        });
+      }
+      if (chain.length < 3) continue;
+      const chainCells = chain.map((key) => ({ ...links.get(key).cell, color: colorOf.get(key) }));
+      const step = colorWrap(chainCells, n, layout) || colorTrap(chainCells, candidates, n, layout);
+      if (step) return step;
+    }
+  }
+  return null;
+}
+
+// Two cells of the same color see each other: that whole color is false.
+function colorWrap(chainCells, digit, layout) {
+  for (const color of [0, 1]) {
+    const group = chainCells.filter((cell) => cell.color === color);
+    const clash = group.some((a, i) => group.slice(i + 1).some((b) => layout.sees(a, b)));
+    if (!clash) continue;
+    return makeStep('simple-coloring', {
+      digits: [digit],
+      cells: chainCells.map(({ row, col, color: c }) => ({ row, col, color: c })),
+      eliminations: group.map(({ row, col }) => ({ row, col, value: digit }))
+    });
+  }
+  return null;
+}
+
+// A cell that sees both colors cannot hold the digit, whichever color is true.
+function colorTrap(chainCells, candidates, digit, layout) {
+  const eliminations = [];
+  for (let r = 0; r < layout.size; r++) {
+    for (let c = 0; c < layout.size; c++) {
+      if (!candidates[r][c].has(digit)) continue;
+      const target = { row: r, col: c };
+      if (chainCells.some((cell) => cell.row === r && cell.col === c)) continue;
+      const seesColor = (color) => chainCells.some((cell) => cell.color === color && layout.sees(target, cell));
+      if (seesColor(0) && seesColor(1)) eliminations.push({ row: r, col: c, value: digit });
+    }
   }
-  return arr;
+  if (!eliminations.length) return null;
+  return makeStep('simple-coloring', {
+    digits: [digit],
+    cells: chainCells.map(({ row, col, color }) => ({ row, col, color })),
+    eliminations
+  });
 }
@@ -1,27 +1,71 @@
+import { BOX_SHAPES, compileRules, digitCount, gridSize, regionMap, symbolFor } from './rules.js';
+
 /**
  * UI helpers to build and update the grid.
  */
 const FULL_SELECTION_SCAN = Symbol('full-selection-scan');
-export function createGrid(container, onCellClick) {
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Builds the cells, size x size (see gridSize), with one note slot per
+ * digit laid out like a box. Cells outside the Samurai grids are built
+ * too, as hidden `void` cells, so rows and columns line up. Variant rules
+ * add their decorations, e.g. the dashed outline and sum label of each
+ * Killer cage, the shading of X-Sudoku diagonals and Windoku windows, or an
+ * SVG layer above the cells for thermometers, arrows and Kropki dots.
+ * onCellClick(row, col, { additive, dragging }) fires when a cell is
+ * pressed, `additive` when shift, ctrl or cmd is held, and again with
+ * `dragging` for every further cell the pointer is dragged across.
+ */
+export function createGrid(container, onCellClick, rules = null) {
   container.innerHTML = '';
   const cells = [];
   const fragment = document.createDocumentFragment();
 
+  let dragCell = null;
+  const playableCell = (target) => {
+    const cell = target?.closest?.('.cell');
+    return cell && container.contains(cell) && !cell.classList.contains('void') ? cell : null;
+  };
   container.onpointerdown = (e) => {
-    const cell = e.target.closest('.cell');
-    if (!cell || !container.contains(cell)) return;
+    const cell = playableCell(e.target);
+    if (!cell) return;
     if (e.pointerType === 'mouse' && e.button !== 0) return;
     if (e.pointerType && e.pointerType !== 'mouse') {
       e.preventDefault();
     }
-    onCellClick(Number(cell.dataset.row), Number(cell.dataset.col));
+    dragCell = cell;
+    window.addEventListener('pointerup', () => (dragCell = null), { once: true });
+    window.addEventListener('pointercancel', () => (dragCell = null), { once: true });
+    onCellClick(Number(cell.dataset.row), Number(cell.dataset.col), {
+      additive: e.shiftKey || e.ctrlKey || e.metaKey,
+      dragging: false
+    });
+  };
+  // Touch pointers stay captured by the first cell, so look up the cell
+  // under the pointer rather than trusting the event target.
+  container.onpointermove = (e) => {
+    if (!dragCell) return;
+    const cell = playableCell(document.elementFromPoint(e.clientX, e.clientY));
+    if (!cell || cell === dragCell) return;
+    dragCell = cell;
+    onCellClick(Number(cell.dataset.row), Number(cell.dataset.col), { additive: true, dragging: true });
   };
 
-  for (let r = 0; r < 9; r++) {
+  const size = gridSize(rules);
+  const digits = digitCount(rules);
+  const { inPlay } = compileRules(rules);
+  const [boxRows, boxCols] = BOX_SHAPES[digits];
+  container.dataset.size = size;
+  container.style.setProperty('--grid-size', size);
+  container.style.setProperty('--note-rows', boxRows);
+  container.style.setProperty('--note-cols', boxCols);
+
+  for (let r = 0; r < size; r++) {
     const rowCells = [];
-    for (let c = 0; c < 9; c++) {
+    for (let c = 0; c < size; c++) {
       const cell = document.createElement('div');
-      cell.className = 'cell';
+      cell.className = inPlay[r * size + c] ? 'cell' : 'cell void';
       cell.dataset.row = r;
       cell.dataset.col = c;
 
@@ -32,7 +76,7 @@ export function createGrid(container, onCellClick) {
       const notes = document.createElement('div');
       notes.className = 'notes';
       const noteEls = [];
-      for (let i = 1; i <= 9; i++) {
+      for (let i = 1; i <= digits; i++) {
         const note = document.createElement('div');
         note.className = 'note';
         note.textContent = '';
@@ -41,6 +85,10 @@ export function createGrid(container, onCellClick) {
       }
       cell.appendChild(notes);
       cell._ui = {
+        cornerEl: null,
+        cornerKey: '',
+        paintEl: null,
+        paintKey: '',
         hintEl: null,
         noteEls,
         valueEl: valueSpan
@@ -50,10 +98,154 @@ export function createGrid(container, onCellClick) {
     }
     cells.push(rowCells);
   }
+  drawCages(cells, rules);
+  markExtraHouses(cells, rules);
+  markRegionEdges(cells, rules);
+  container.classList.toggle('killer', !!rules?.cages);
+  container.classList.toggle('region-lines', !!rules?.regions || size !== 9);
   container.appendChild(fragment);
+  drawOverlays(container, cells, rules);
   return cells;
 }
 
+// Thermometers, arrows and dots go in one SVG over the grid. Shapes are
+// placed from the cells' measured centres and placed again whenever the
+// grid resizes.
+function drawOverlays(container, cells, rules) {
+  container._overlayObserver?.disconnect();
+  container._overlayObserver = null;
+  if (!rules?.thermos && !rules?.arrows && !rules?.dots) return;
+  const { size, thermos, arrows, dots } = compileRules(rules);
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.classList.add('grid-overlay');
+  svg.setAttribute('aria-hidden', 'true');
+  const add = (tag, className) => {
+    const el = document.createElementNS(SVG_NS, tag);
+    el.setAttribute('class', className);
+    svg.appendChild(el);
+    return el;
+  };
+  const placers = [];
+
+  thermos.forEach((thermo) => {
+    const tube = add('polyline', 'thermo-tube');
+    const bulb = add('circle', 'thermo-bulb');
+    placers.push((centre, unit) => {
+      tube.setAttribute('points', thermo.map((cell) => centre(cell).join(',')).join(' '));
+      tube.setAttribute('stroke-width', unit * 0.28);
+      const [x, y] = centre(thermo[0]);
+      bulb.setAttribute('cx', x);
+      bulb.setAttribute('cy', y);
+      bulb.setAttribute('r', unit * 0.36);
+    });
+  });
+
+  arrows.forEach(({ circle, cells: arrowCells }) => {
+    const ring = add('circle', 'arrow-circle');
+    const shaft = add('polyline', 'arrow-shaft');
+    const head = add('polyline', 'arrow-shaft');
+    placers.push((centre, unit) => {
+      const [cx, cy] = centre(circle);
+      const radius = unit * 0.4;
+      ring.setAttribute('cx', cx);
+      ring.setAttribute('cy', cy);
+      ring.setAttribute('r', radius);
+      // The shaft starts on the ring, towards the first cell.
+      const [fx, fy] = centre(arrowCells[0]);
+      const first = Math.hypot(fx - cx, fy - cy) || 1;
+      const points = [[cx + ((fx - cx) * radius) / first, cy + ((fy - cy) * radius) / first]];
+      arrowCells.forEach((cell) => points.push(centre(cell)));
+      shaft.setAttribute('points', points.map((point) => point.join(',')).join(' '));
+      const [tx, ty] = points[points.length - 1];
+      const [px, py] = points[points.length - 2];
+      const angle = Math.atan2(ty - py, tx - px);
+      const barb = (turn) => [tx - unit * 0.22 * Math.cos(angle + turn), ty - unit * 0.22 * Math.sin(angle + turn)];
+      head.setAttribute('points', [barb(0.6), [tx, ty], barb(-0.6)].map((point) => point.join(',')).join(' '));
+      [ring, shaft, head].forEach((el) => el.setAttribute('stroke-width', unit * 0.05));
+    });
+  });
+
+  dots.forEach(({ type, cells: [a, b] }) => {
+    const dot = add('circle', `kropki-dot ${type}`);
+    placers.push((centre, unit) => {
+      const [ax, ay] = centre(a);
+      const [bx, by] = centre(b);
+      dot.setAttribute('cx', (ax + bx) / 2);
+      dot.setAttribute('cy', (ay + by) / 2);
+      dot.setAttribute('r', unit * 0.11);
+      dot.setAttribute('stroke-width', unit * 0.03);
+    });
+  });
+
+  const place = () => {
+    const first = cells[0][0];
+    if (!first.offsetWidth) return;
+    svg.setAttribute('viewBox', `0 0 ${container.clientWidth} ${container.clientHeight}`);
+    const centre = (index) => {
+      const cell = cells[Math.floor(index / size)][index % size];
+      return [cell.offsetLeft + cell.offsetWidth / 2, cell.offsetTop + cell.offsetHeight / 2];
+    };
+    placers.forEach((placer) => placer(centre, first.offsetWidth));
+  };
+  container.appendChild(svg);
+  container._overlayObserver = new ResizeObserver(place);
+  container._overlayObserver.observe(container);
+}
+
+// Each cage cell gets an outline on the sides facing other cages; the
+// top-left cell of the cage carries the sum.
+function drawCages(cells, rules) {
+  if (!rules?.cages) return;
+  const { cages, cageAt } = compileRules(rules);
+  cages.forEach(({ sum, cells: cageCells }, index) => {
+    cageCells.forEach((cell, i) => {
+      const row = Math.floor(cell / 9);
+      const col = cell % 9;
+      const outline = document.createElement('div');
+      outline.className = 'cage';
+      const sides = { top: [row - 1, col], right: [row, col + 1], bottom: [row + 1, col], left: [row, col - 1] };
+      Object.entries(sides).forEach(([side, [r, c]]) => {
+        const inside = r >= 0 && r < 9 && c >= 0 && c < 9 && cageAt[r * 9 + c] === index;
+        outline.classList.toggle(`cage-${side}`, !inside);
+      });
+      if (i === 0) {
+        const label = document.createElement('span');
+        label.className = 'cage-sum';
+        label.textContent = sum;
+        outline.appendChild(label);
+      }
+      cells[row][col].appendChild(outline);
+    });
+  });
+}
+
+// Every cell gets `region-top/right/bottom/left` on the sides that border
+// another box. The classic 9x9 grid draws its 3x3 lines in CSS; jigsaw
+// grids and the other sizes draw these edges instead.
+function markRegionEdges(cells, rules) {
+  const regions = regionMap(rules);
+  const size = cells.length;
+  cells.forEach((rowCells, row) =>
+    rowCells.forEach((cell, col) => {
+      const sides = { top: [row - 1, col], right: [row, col + 1], bottom: [row + 1, col], left: [row, col - 1] };
+      Object.entries(sides).forEach(([side, [r, c]]) => {
+        const edge = r >= 0 && r < size && c >= 0 && c < size && regions[r][c] !== regions[row][col];
+        cell.classList.toggle(`region-${side}`, edge);
+      });
+    })
+  );
+}
+
+// Cells of the houses a constraint adds are shaded so the extra regions
+// are visible, e.g. `diagonal-cell` and `window-cell`.
+function markExtraHouses(cells, rules) {
+  if (!rules?.constraints) return;
+  compileRules(rules).houses.forEach(({ type, cells: houseCells }) => {
+    if (type === 'row' || type === 'col' || type === 'box') return;
+    houseCells.forEach((cell) => cells[Math.floor(cell / cells.length)][cell % cells.length].classList.add(`${type}-cell`));
+  });
+}
+
 export function updateGrid(
   cells,
   board,
@@ -63,15 +255,17 @@ export function updateGrid(
   completedDigits = new Set(),
   newlyCompleted = new Set(),
   activeNumber = null,
-  highlightsEnabled = true
+  highlightsEnabled = true,
+  paintStyle = 'stripes'
 ) {
-  for (let r = 0; r < 9; r++) {
-    for (let c = 0; c < 9; c++) {
+  const hintView = buildHintView(hint, board.rules);
+  for (let r = 0; r < board.size; r++) {
+    for (let c = 0; c < board.size; c++) {
       const cell = cells[r][c];
       const ui = cell._ui;
       const val = board.getValue(r, c);
       const valueSpan = ui.valueEl;
-      valueSpan.textContent = val === 0 ? '' : val;
+      valueSpan.textContent = symbolFor(val);
       valueSpan.classList.toggle('empty', val === 0);
       cell.classList.toggle('empty-cell', val === 0);
       cell.classList.toggle('filled-cell', val !== 0);
@@ -82,20 +276,27 @@ export function updateGrid(
       const noteEls = ui.noteEls;
       for (let i = 0; i < noteEls.length; i++) {
         const noteEl = noteEls[i];
-        const noteValue = val === 0 && noteSet.has(i + 1) ? String(i + 1) : '';
+        const noteValue = val === 0 && noteSet.has(i + 1) ? symbolFor(i + 1) : '';
         noteEl.textContent = noteValue;
         noteEl.classList.toggle('active-note', noteValue !== '' && activeNumber === i + 1);
       }
+      renderCornerNotes(cell, val === 0 ? board.cornerNotes[r][c] : null, activeNumber);
+      renderPaint(cell, board.colors[r][c], paintStyle);
 
+      const key = `${r},${c}`;
+      cell.classList.toggle('hint-region', hintView.region.has(key));
+      cell.classList.toggle('hint-cell', hintView.cells.has(key));
       let hintEl = ui.hintEl;
-      if (hint && hint.row === r && hint.col === c) {
+      const mark = hintView.marks.get(key);
+      if (mark) {
         if (!hintEl) {
           hintEl = document.createElement('div');
           hintEl.className = 'hint';
-          hintEl.textContent = '!';
           cell.appendChild(hintEl);
           ui.hintEl = hintEl;
         }
+        hintEl.textContent = mark.text;
+        hintEl.classList.toggle('eliminate', mark.type === 'eliminate');
         hintEl.hidden = false;
       } else if (hintEl) {
         hintEl.hidden = true;
@@ -116,14 +317,119 @@ export function updateGrid(
   highlightSelection(cells, selected, board, activeNumber, highlightsEnabled);
 }
 
+// Palette colors sit under the digits, split into diagonal stripes or
+// pie wedges when a cell has more than one.
+function renderPaint(cell, colors, paintStyle) {
+  const ui = cell._ui;
+  const key = colors.length ? `${colors.join(',')}|${paintStyle}` : '';
+  cell.classList.toggle('painted', colors.length > 0);
+  if (key === ui.paintKey) return;
+  ui.paintKey = key;
+  if (!ui.paintEl) {
+    ui.paintEl = document.createElement('div');
+    ui.paintEl.className = 'cell-paint';
+    cell.prepend(ui.paintEl);
+  }
+  const share = 100 / colors.length;
+  const stops = colors.map((color, i) => `var(--paint-${color}) ${i * share}% ${(i + 1) * share}%`).join(', ');
+  ui.paintEl.style.background = !colors.length
+    ? ''
+    : paintStyle === 'wedges'
+    ? `conic-gradient(${stops})`
+    : `linear-gradient(135deg, ${stops})`;
+}
+
+// Corner marks go around the edge of the cell, corners first (see CSS);
+// the center marks shrink to a list in the middle to make room.
+function renderCornerNotes(cell, noteSet, activeNumber) {
+  const ui = cell._ui;
+  const digits = noteSet ? [...noteSet].sort((a, b) => a - b) : [];
+  const key = digits.length ? `${digits.join(',')}|${activeNumber}` : '';
+  cell.classList.toggle('has-corner-notes', digits.length > 0);
+  if (key === ui.cornerKey) return;
+  ui.cornerKey = key;
+  if (!ui.cornerEl) {
+    ui.cornerEl = document.createElement('div');
+    ui.cornerEl.className = 'corner-notes';
+    cell.appendChild(ui.cornerEl);
+  }
+  ui.cornerEl.classList.toggle('crowded', digits.length > 8);
+  ui.cornerEl.replaceChildren(
+    ...digits.map((digit) => {
+      const note = document.createElement('span');
+      note.className = digit === activeNumber ? 'corner-note active-note' : 'corner-note';
+      note.textContent = symbolFor(digit);
+      return note;
+    })
+  );
+}
+
+/**
+ * Marks every cell of a multi-cell selection (a Set of "row,col" keys)
+ * with `multi-selected`; a selection of one cell marks nothing extra.
+ */
+export function markSelection(cells, keys) {
+  cells.forEach((rowCells, r) =>
+    rowCells.forEach((cell, c) => cell.classList.toggle('multi-selected', keys.size > 1 && keys.has(`${r},${c}`)))
+  );
+}
+
+function houseCells({ type, index }, rules) {
+  const house = compileRules(rules).houses.find((h) => h.type === type && h.index === index);
+  const size = gridSize(rules);
+  return house ? house.cells.map((cell) => ({ row: Math.floor(cell / size), col: cell % size })) : [];
+}
+
+/**
+ * Turns a hint ({ step, level }) into what the grid shows at that level:
+ * 1 tints the region to look at, 2 also marks the cells the technique uses,
+ * 3 also shows the placement or the eliminated candidates.
+ */
+function buildHintView(hint, rules) {
+  const view = { region: new Set(), cells: new Set(), marks: new Map() };
+  if (!hint || !hint.step) return view;
+  const { step, level } = hint;
+  const regions = regionMap(rules);
+  const houses = step.houses.length
+    ? step.houses
+    : step.cells.map(({ row, col }) => ({ type: 'box', index: regions[row][col] }));
+  houses.forEach((house) => {
+    houseCells(house, rules).forEach(({ row, col }) => view.region.add(`${row},${col}`));
+  });
+  if (level >= 2) {
+    step.cells.forEach(({ row, col }) => view.cells.add(`${row},${col}`));
+  }
+  if (level >= 3) {
+    step.placements.forEach(({ row, col, value }) => {
+      view.marks.set(`${row},${col}`, { type: 'place', text: symbolFor(value) });
+    });
+    const removed = new Map();
+    step.eliminations.forEach(({ row, col, value }) => {
+      const key = `${row},${col}`;
+      if (!removed.has(key)) removed.set(key, []);
+      removed.get(key).push(value);
+    });
+    removed.forEach((values, key) => {
+      view.marks.set(key, { type: 'eliminate', text: `×${values.sort((a, b) => a - b).map(symbolFor).join('')}` });
+    });
+  }
+  return view;
+}
+
 function applySelectionClasses(cell, row, col, selected, board, selectedValue, highlightsEnabled) {
   const isSelected = selected && row === selected.row && col === selected.col;
-  const sameRow = selected && row === selected.row;
-  const sameCol = selected && col === selected.col;
-  const sameBox =
+  // Peers from variant rules: diagonals, windows, cages, chess moves.
+  const rulePeer =
     selected &&
-    Math.floor(row / 3) === Math.floor(selected.row / 3) &&
-    Math.floor(col / 3) === Math.floor(selected.col / 3);
+    board?.rules &&
+    compileRules(board.rules).peers[selected.row * board.size + selected.col].includes(row * board.size + col);
+  // Samurai lines stop at the edge of each grid, so only peers line up;
+  // a cell of a shared box lights up both of its grids.
+  const apart = !!board?.rules?.samurai && !rulePeer;
+  const sameRow = selected && row === selected.row && !apart;
+  const sameCol = selected && col === selected.col && !apart;
+  const regions = regionMap(board?.rules);
+  const sameBox = selected && regions[row][col] === regions[selected.row][selected.col] && !apart;
 
   cell.classList.toggle('selected', isSelected);
 
@@ -132,29 +438,35 @@ function applySelectionClasses(cell, row, col, selected, board, selectedValue, h
   const related =
     highlightsEnabled &&
     !isSelected &&
-    (sameRow || sameCol || sameBox || sameNumber);
+    (sameRow || sameCol || sameBox || rulePeer || sameNumber);
 
   cell.classList.toggle('related', related);
   cell.classList.toggle('row-related', highlightsEnabled && !isSelected && sameRow);
   cell.classList.toggle('col-related', highlightsEnabled && !isSelected && sameCol);
   cell.classList.toggle('box-related', highlightsEnabled && !isSelected && sameBox);
+  cell.classList.toggle('rule-related', highlightsEnabled && !isSelected && !!rulePeer && !sameRow && !sameCol && !sameBox);
 }
 
 function collectAffectedCells(cells, selected, board, highlightsEnabled, affected) {
   if (!selected) return;
 
   affected.add(cells[selected.row][selected.col]);
-  for (let i = 0; i < 9; i++) {
+  for (let i = 0; i < cells.length; i++) {
     affected.add(cells[selected.row][i]);
     affected.add(cells[i][selected.col]);
   }
 
-  const startRow = Math.floor(selected.row / 3) * 3;
-  const startCol = Math.floor(selected.col / 3) * 3;
-  for (let r = startRow; r < startRow + 3; r++) {
-    for (let c = startCol; c < startCol + 3; c++) {
-      affected.add(cells[r][c]);
-    }
+  const regions = regionMap(board?.rules);
+  const box = regions[selected.row][selected.col];
+  regions.forEach((rowRegions, r) =>
+    rowRegions.forEach((region, c) => {
+      if (region === box) affected.add(cells[r][c]);
+    })
+  );
+  if (board?.rules) {
+    compileRules(board.rules).peers[selected.row * board.size + selected.col].forEach((cell) => {
+      affected.add(cells[Math.floor(cell / board.size)][cell % board.size]);
+    });
   }
 
   if (!highlightsEnabled || !board) return;
@@ -162,8 +474,8 @@ function collectAffectedCells(cells, selected, board, highlightsEnabled, affecte
   const selectedValue = board.getValue(selected.row, selected.col);
   if (!selectedValue) return;
 
-  for (let r = 0; r < 9; r++) {
-    for (let c = 0; c < 9; c++) {
+  for (let r = 0; r < cells.length; r++) {
+    for (let c = 0; c < cells.length; c++) {
       if (board.getValue(r, c) === selectedValue) {
         affected.add(cells[r][c]);
       }
@@ -182,8 +494,8 @@ export function highlightSelection(
   const selectedValue = selected && board ? board.getValue(selected.row, selected.col) : 0;
 
   if (!board || previousSelected === FULL_SELECTION_SCAN) {
-    for (let r = 0; r < 9; r++) {
-      for (let c = 0; c < 9; c++) {
+    for (let r = 0; r < cells.length; r++) {
+      for (let c = 0; c < cells.length; c++) {
         applySelectionClasses(cells[r][c], r, c, selected, board, selectedValue, highlightsEnabled);
       }
     }
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { SudokuBoard } from '../sudoku/board.js';
+import { solveBoard } from '../sudoku/solver.js';
+
+const PUZZLE = [
+  [0, 0, 0, 0, 4, 8, 5, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 0, 3],
+  [0, 2, 5, 0, 1, 0, 0, 9, 0],
+  [0, 0, 2, 0, 0, 0, 8, 0, 4],
+  [0, 0, 9, 0, 8, 5, 0, 2, 0],
+  [0, 0, 0, 2, 0, 0, 7, 6, 0],
+  [0, 0, 7, 0, 0, 0, 0, 0, 0],
+  [3, 0, 0, 0, 2, 0, 0, 0, 0],
+  [0, 0, 0, 7, 0, 0, 6, 1, 0]
+];
+
+function createBoard() {
+  const solution = PUZZLE.map((row) => [...row]);
+  solveBoard(solution);
+  return new SudokuBoard(PUZZLE, solution);
+}
+
+// Everything a move may touch, as plain data.
+function snapshot(board) {
+  return Array.from({ length: board.size * board.size }, (_, cell) => board.cellState(cell));
+}
+
+test('a move records each changed cell once, as it was before', () => {
+  const board = createBoard();
+  board.setNote(0, 0, 1, true);
+  board.beginMove();
+  board.setNote(0, 0, 2, true);
+  board.setNote(0, 0, 3, true);
+  board.setColor(0, 1, 'red', true);
+  const changes = board.endMove();
+  assert.equal(changes.length, 2);
+  const [cell, before, after] = changes.find(([index]) => index === 0);
+  assert.equal(cell, 0);
+  assert.deepEqual(before[1], [1]);
+  assert.deepEqual(after[1], [1, 2, 3]);
+  assert.equal(board.journal, null);
+});
+
+test('cells put back as they were are left out of the move', () => {
+  const board = createBoard();
+  board.beginMove();
+  board.setValue(0, 0, 6);
+  board.clearValue(0, 0);
+  assert.deepEqual(board.endMove(), []);
+  assert.deepEqual(board.endMove(), []);
+});
+
+test('undo and redo replay a move across values, marks and colors', () => {
+  const board = createBoard();
+  board.setNote(0, 1, 6, true);
+  board.setNote(1, 1, 6, true, 'corner');
+  const start = snapshot(board);
+  board.beginMove();
+  board.setValue(0, 0, 6);
+  board.clearNotesInPeers(0, 0, 6);
+  board.setColor(2, 0, 'blue', true);
+  board.setNote(2, 3, 4, false);
+  const changes = board.endMove();
+  const end = snapshot(board);
+  assert.equal(changes.length, 5);
+  assert.equal(board.eliminated[2][3].has(4), true);
+
+  board.applyChanges(changes, true);
+  assert.deepEqual(snapshot(board), start);
+  board.applyChanges(changes);
+  assert.deepEqual(snapshot(board), end);
+});
+
+test('whole-board edits are recorded in one move', () => {
+  const board = createBoard();
+  const start = snapshot(board);
+  board.beginMove();
+  board.fillCandidates();
+  const changes = board.endMove();
+  const blanks = PUZZLE.flat().filter((value) => !value).length;
+  assert.equal(changes.length, blanks);
+  board.applyChanges(changes, true);
+  assert.deepEqual(snapshot(board), start);
+});
@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { formatPrintableHtml, parsePuzzles, validateImportedPuzzle } from '../sudoku/formats.js';
+
+// Expert puzzle from seed 11111, one row per line.
+const ROWS = [
+  '000048500',
+  '000000003',
+  '025010090',
+  '002000804',
+  '009085020',
+  '000200760',
+  '007000000',
+  '300020000',
+  '000700610'
+];
+const LINE = ROWS.join('');
+const PUZZLE = ROWS.map((row) => [...row].map(Number));
+
+function withBlanks(row, blank) {
+  return row.replace(/0/g, blank);
+}
+
+// Splits a row into boxes of three joined by `separator`.
+function boxed(row, separator) {
+  return [row.slice(0, 3), row.slice(3, 6), row.slice(6)].join(separator);
+}
+
+function parseOne(text) {
+  const parsed = parsePuzzles(text);
+  assert.ok(parsed.valid, parsed.message);
+  assert.equal(parsed.puzzles.length, 1);
+  return parsed.puzzles[0];
+}
+
+test('reads an 81-character line with 0 or . for blanks', () => {
+  assert.deepEqual(parseOne(LINE), PUZZLE);
+  assert.deepEqual(parseOne(withBlanks(LINE, '.')), PUZZLE);
+});
+
+test('reads .sdk files and pasted grids of nine rows', () => {
+  assert.deepEqual(parseOne(ROWS.map((row) => withBlanks(row, '.')).join('\n')), PUZZLE);
+  assert.deepEqual(parseOne(ROWS.map((row) => [...row].join(' ')).join('\r\n')), PUZZLE);
+});
+
+test('reads .sdm collections, one puzzle per line', () => {
+  const other = LINE.replace('48', '84');
+  const parsed = parsePuzzles(`${LINE}\n${other}\n`);
+  assert.ok(parsed.valid);
+  assert.equal(parsed.puzzles.length, 2);
+  assert.deepEqual(parsed.puzzles[0], PUZZLE);
+  assert.equal(parsed.puzzles[1][0][4], 8);
+});
+
+test('reads .ss grids with | and ---!--- separators', () => {
+  const lines = ROWS.map((row) => boxed(withBlanks(row, '.'), '|'));
+  lines.splice(6, 0, '-----------');
+  lines.splice(3, 0, '---!---!---');
+  assert.deepEqual(parseOne(lines.join('\n')), PUZZLE);
+});
+
+test('reads pasted grids drawn with +-------+ borders', () => {
+  const border = '+-------+-------+-------+';
+  const lines = ROWS.map((row) => `| ${boxed([...withBlanks(row, '.')].join(' '), ' | ')} |`);
+  lines.splice(6, 0, border);
+  lines.splice(3, 0, border);
+  assert.deepEqual(parseOne([border, ...lines, border].join('\n')), PUZZLE);
+});
+
+test('skips comments and section headers', () => {
+  assert.deepEqual(parseOne(`# from a collection\n[Puzzle]\n${LINE}`), PUZZLE);
+});
+
+test('reports empty text, stray characters and wrong lengths', () => {
+  assert.equal(parsePuzzles('').reason, 'empty');
+  assert.equal(parsePuzzles('# only a comment').reason, 'empty');
+  assert.equal(parsePuzzles(`x${LINE.slice(1)}`).reason, 'bad-character');
+  assert.equal(parsePuzzles(LINE.slice(1)).reason, 'bad-length');
+  const collection = parsePuzzles(`${LINE}\n${LINE.slice(1)}`);
+  assert.equal(collection.reason, 'bad-length');
+  assert.match(collection.message, /^Puzzle 2: /);
+});
+
+test('accepts a puzzle with exactly one solution', () => {
+  const result = validateImportedPuzzle(PUZZLE);
+  assert.ok(result.valid);
+  assert.equal(result.solution.flat().filter(Boolean).length, 81);
+  PUZZLE.forEach((row, r) => row.forEach((value, c) => value && assert.equal(result.solution[r][c], value)));
+});
+
+test('rejects puzzles without a solution', () => {
+  const clash = PUZZLE.map((row) => [...row]);
+  clash[0][0] = 4;
+  const result = validateImportedPuzzle(clash);
+  assert.equal(result.reason, 'no-solution');
+  assert.match(result.message, /4 appears twice in row 1/);
+
+  // Row 1 needs its 9 in column 9, which already has one.
+  const stuck = Array.from({ length: 9 }, () => Array(9).fill(0));
+  stuck[0] = [1, 2, 3, 4, 5, 6, 7, 8, 0];
+  stuck[1][8] = 9;
+  assert.equal(validateImportedPuzzle(stuck).reason, 'no-solution');
+});
+
+test('rejects puzzles with more than one solution', () => {
+  const sparse = Array.from({ length: 9 }, () => Array(9).fill(0));
+  sparse[0] = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+  assert.equal(validateImportedPuzzle(sparse).reason, 'multiple-solutions');
+});
+
+test('prints the grid with thick lines around the boxes of its size', () => {
+  const thick = (html) => html.match(/stroke-width="3"/g).length;
+  assert.equal(thick(formatPrintableHtml(PUZZLE, 'Classic')), 8);
+  // 6x6 boxes are two rows by three columns.
+  const six = Array.from({ length: 6 }, () => Array(6).fill(0));
+  six[0][0] = 6;
+  const html = formatPrintableHtml(six, 'Six');
+  assert.equal(thick(html), 4 + 3);
+  assert.equal((html.match(/<line /g) || []).length, 14);
+  assert.match(html, />6<\/text>/);
+  const sixteen = Array.from({ length: 16 }, () => Array(16).fill(0));
+  sixteen[0][0] = 16;
+  assert.match(formatPrintableHtml(sixteen, 'Sixteen'), />G<\/text>/);
+});
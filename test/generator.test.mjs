@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { DIFFICULTY_TIERS, generatePuzzle, gradePuzzle } from '../sudoku/generator.js';
+import { solveLogically, TECHNIQUES } from '../sudoku/solver.js';
+
+const TIERS = Object.keys(DIFFICULTY_TIERS);
+
+// The techniques allowed up to and including a tier's ceiling.
+function upTo(tier) {
+  const last = TECHNIQUES.findIndex((technique) => technique.id === DIFFICULTY_TIERS[tier].ceiling);
+  return TECHNIQUES.slice(0, last + 1).map((technique) => technique.id);
+}
+
+TIERS.forEach((tier, i) => {
+  test(`${tier} puzzles need a technique above the tier below and none above their own ceiling`, () => {
+    const { puzzle, solution, grade } = generatePuzzle(tier);
+    assert.equal(grade.tier, tier);
+    assert.ok(upTo(tier).includes(grade.technique));
+    const within = solveLogically(puzzle, { techniques: upTo(tier) });
+    assert.ok(within.solved);
+    assert.deepEqual(within.grid, solution);
+    if (i > 0) {
+      assert.ok(!upTo(TIERS[i - 1]).includes(grade.technique));
+      assert.ok(!solveLogically(puzzle, { techniques: upTo(TIERS[i - 1]) }).solved);
+    }
+  });
+});
+
+test('grades a puzzle by the hardest technique it needs', () => {
+  const puzzle = [
+    [0, 0, 0, 0, 4, 8, 5, 0, 0],
+    [0, 0, 0, 0, 0, 0, 0, 0, 3],
+    [0, 2, 5, 0, 1, 0, 0, 9, 0],
+    [0, 0, 2, 0, 0, 0, 8, 0, 4],
+    [0, 0, 9, 0, 8, 5, 0, 2, 0],
+    [0, 0, 0, 2, 0, 0, 7, 6, 0],
+    [0, 0, 7, 0, 0, 0, 0, 0, 0],
+    [3, 0, 0, 0, 2, 0, 0, 0, 0],
+    [0, 0, 0, 7, 0, 0, 6, 1, 0]
+  ];
+  const grade = gradePuzzle(puzzle);
+  assert.equal(grade.technique, 'xy-wing');
+  assert.equal(grade.tier, 'expert');
+  assert.ok(grade.score > 0);
+});
+
+test('grades a puzzle that needs guessing with no tier', () => {
+  const empty = Array.from({ length: 9 }, () => Array(9).fill(0));
+  assert.equal(gradePuzzle(empty).tier, null);
+});
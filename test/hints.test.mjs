@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { SudokuBoard } from '../sudoku/board.js';
+import { solveBoard } from '../sudoku/solver.js';
+
+// Expert puzzle from seed 11111; partway through it needs a pointing pair
+// and an XY-Wing, both of which only eliminate.
+const PUZZLE = [
+  [0, 0, 0, 0, 4, 8, 5, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 0, 3],
+  [0, 2, 5, 0, 1, 0, 0, 9, 0],
+  [0, 0, 2, 0, 0, 0, 8, 0, 4],
+  [0, 0, 9, 0, 8, 5, 0, 2, 0],
+  [0, 0, 0, 2, 0, 0, 7, 6, 0],
+  [0, 0, 7, 0, 0, 0, 0, 0, 0],
+  [3, 0, 0, 0, 2, 0, 0, 0, 0],
+  [0, 0, 0, 7, 0, 0, 6, 1, 0]
+];
+
+function createBoard() {
+  const solution = PUZZLE.map((row) => [...row]);
+  solveBoard(solution);
+  return new SudokuBoard(PUZZLE, solution);
+}
+
+test('hints in a row make progress through elimination steps', () => {
+  const board = createBoard();
+  let previous = null;
+  let eliminationSteps = 0;
+  for (let i = 0; i < 81 && !board.isSolved(); i++) {
+    const step = board.findHint();
+    assert.ok(step, `no hint after ${i} steps`);
+    assert.notDeepEqual(step, previous, 'the same hint came back');
+    step.placements.forEach(({ row, col, value }) => board.setValue(row, col, value));
+    if (!step.placements.length) {
+      eliminationSteps += 1;
+      board.applyHintEliminations(step);
+    }
+    previous = step;
+  }
+  assert.ok(board.isSolved());
+  assert.ok(eliminationSteps > 0);
+});
+
+test('hints reason from the center marks the player has written', () => {
+  const board = createBoard();
+  const open = board.hintCandidates();
+  const cell = open.flat().findIndex((set) => set.size > 2);
+  const row = Math.floor(cell / 9);
+  const col = cell % 9;
+  board.setNote(row, col, board.solution[row][col], true);
+  assert.deepEqual([...board.hintCandidates()[row][col]], [board.solution[row][col]]);
+  const step = board.findHint();
+  assert.deepEqual(step.placements, [{ row, col, value: board.solution[row][col] }]);
+});
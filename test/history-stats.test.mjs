@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { dateKey, dayStreak, percentile, summarizeHistory } from '../sudoku/history-stats.js';
+
+const NOW = new Date(2026, 9, 18, 20);
+
+// A game finished `daysAgo` days before NOW at the given local hour.
+function game(daysAgo, { outcome = 'won', elapsed = 300, errors = 0, difficulty = 'medium', hour = 12 } = {}) {
+  const finished = new Date(2026, 9, 18 - daysAgo, hour);
+  const started = new Date(finished.getTime() - elapsed * 1000);
+  return {
+    difficulty,
+    outcome,
+    elapsed,
+    errors,
+    startedAt: started.toISOString(),
+    finishedAt: outcome === 'playing' ? null : finished.toISOString()
+  };
+}
+
+test('percentile interpolates between neighbours', () => {
+  assert.equal(percentile([], 50), null);
+  assert.equal(percentile([7], 90), 7);
+  assert.equal(percentile([10, 20, 30, 40], 50), 25);
+  assert.equal(percentile([10, 20, 30, 40], 0), 10);
+  assert.equal(percentile([10, 20, 30, 40], 100), 40);
+});
+
+test('dateKey uses the local calendar day', () => {
+  assert.equal(dateKey(new Date(2026, 0, 5, 23, 59)), '2026-01-05');
+});
+
+test('counts games, wins and solve times', () => {
+  const records = [
+    game(3, { elapsed: 400 }),
+    game(2, { elapsed: 200 }),
+    game(1, { outcome: 'abandoned', elapsed: 50 }),
+    game(0, { elapsed: 300 }),
+    game(0, { outcome: 'playing' })
+  ];
+  const summary = summarizeHistory(records, { now: NOW });
+  assert.equal(summary.played, 5);
+  assert.equal(summary.wins, 3);
+  assert.equal(summary.winRate, 3 / 4);
+  assert.deepEqual(summary.solveTimes, { count: 3, best: 200, median: 300, p25: 250, p75: 350, p90: 380 });
+  assert.deepEqual(
+    summary.bestProgression.map((p) => p.elapsed),
+    [400, 200]
+  );
+});
+
+test('counts lost games as losses', () => {
+  const records = [game(1), game(0, { outcome: 'lost' })];
+  const summary = summarizeHistory(records, { now: NOW });
+  assert.equal(summary.losses, 1);
+  assert.equal(summary.winRate, 1 / 2);
+  assert.deepEqual(summary.winStreak, { current: 0, best: 1 });
+});
+
+test('filters by difficulty', () => {
+  const records = [game(1, { difficulty: 'easy' }), game(0, { difficulty: 'hard', outcome: 'abandoned' })];
+  const summary = summarizeHistory(records, { difficulty: 'hard', now: NOW });
+  assert.equal(summary.played, 1);
+  assert.equal(summary.wins, 0);
+  assert.equal(summary.solveTimes.best, null);
+});
+
+test('filters by variant, counting older records as classic', () => {
+  const records = [game(2), { ...game(1), variant: 'classic' }, { ...game(0), variant: 'killer' }];
+  assert.equal(summarizeHistory(records, { variant: 'classic', now: NOW }).played, 2);
+  assert.equal(summarizeHistory(records, { variant: 'killer', now: NOW }).played, 1);
+  assert.equal(summarizeHistory(records, { now: NOW }).played, 3);
+});
+
+test('tracks win streaks and daily streaks', () => {
+  const records = [
+    game(9),
+    game(8),
+    game(7),
+    game(6, { outcome: 'abandoned' }),
+    game(2),
+    game(1)
+  ];
+  const summary = summarizeHistory(records, { now: NOW });
+  assert.deepEqual(summary.winStreak, { current: 2, best: 3 });
+  // No win today yet, so the run ending yesterday is still current.
+  assert.deepEqual(summary.dailyStreak, { current: 2, best: 3 });
+  const lapsed = summarizeHistory(records, { now: new Date(2026, 9, 20, 12) });
+  assert.equal(lapsed.dailyStreak.current, 0);
+});
+
+test('leaves daily games out', () => {
+  const records = [game(1), { ...game(0, { elapsed: 100 }), daily: '2026-10-18' }];
+  const summary = summarizeHistory(records, { now: NOW });
+  assert.equal(summary.played, 1);
+  assert.equal(summary.solveTimes.best, 300);
+});
+
+test('dayStreak counts runs of consecutive days', () => {
+  assert.deepEqual(dayStreak([], NOW), { current: 0, best: 0 });
+  const days = ['2026-10-10', '2026-10-11', '2026-10-12', '2026-10-17', '2026-10-18', '2026-10-18'];
+  assert.deepEqual(dayStreak(days, NOW), { current: 2, best: 3 });
+  // Runs carry across month ends.
+  assert.deepEqual(dayStreak(['2026-09-30', '2026-10-01'], new Date(2026, 9, 1)), { current: 2, best: 2 });
+  assert.deepEqual(dayStreak(['2026-10-15'], NOW), { current: 0, best: 1 });
+});
+
+test('averages errors by week and counts start hours', () => {
+  const records = [game(0, { errors: 4, hour: 9 }), game(0, { errors: 2, hour: 9 }), game(120, { errors: 9 })];
+  const summary = summarizeHistory(records, { now: NOW });
+  assert.equal(summary.errorTrend.length, 12);
+  assert.equal(summary.errorTrend[11].value, 3);
+  assert.ok(summary.errorTrend.slice(0, 11).every((w) => w.value === null));
+  assert.equal(summary.hourCounts.reduce((a, b) => a + b, 0), 3);
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { SudokuBoard } from '../sudoku/board.js';
+import { generatePuzzle } from '../sudoku/generator.js';
+import { cageCombinations, createCages } from '../sudoku/killer.js';
+import { createRandom } from '../sudoku/random.js';
+import { createCandidates } from '../sudoku/solver.js';
+
+test('cageCombinations lists every set of distinct digits for a sum', () => {
+  assert.deepEqual(cageCombinations(3, 2), [[1, 2]]);
+  assert.deepEqual(cageCombinations(10, 2), [[1, 9], [2, 8], [3, 7], [4, 6]]);
+  assert.deepEqual(cageCombinations(10, 2, [1, 4]), [[2, 8], [3, 7]]);
+  assert.deepEqual(cageCombinations(45, 9), [[1, 2, 3, 4, 5, 6, 7, 8, 9]]);
+  assert.deepEqual(cageCombinations(5, 3), []);
+});
+
+test('cages cover the grid once, without repeats, and add up', () => {
+  const { solution } = generatePuzzle('easy', 42);
+  const cages = createCages(solution, createRandom(42));
+  const seen = new Set();
+  cages.forEach(({ sum, cells }) => {
+    assert.ok(cells.length >= 1 && cells.length <= 5);
+    const digits = cells.map(([r, c]) => solution[r][c]);
+    assert.equal(new Set(digits).size, digits.length);
+    assert.equal(sum, digits.reduce((a, b) => a + b, 0));
+    cells.forEach(([r, c]) => seen.add(`${r},${c}`));
+  });
+  assert.equal(seen.size, 81);
+  assert.equal(cages.reduce((total, cage) => total + cage.cells.length, 0), 81);
+});
+
+test('generated Killer puzzles have their cages in the rules', () => {
+  const { puzzle, solution, rules } = generatePuzzle('easy', 42, 'killer');
+  assert.ok(rules.cages.length);
+  assert.ok(puzzle.flat().filter(Boolean).length < 81);
+  assert.equal(rules.cages.reduce((total, { sum }) => total + sum, 0), solution.flat().reduce((a, b) => a + b, 0));
+});
+
+test('the board flags cages that repeat a digit or miss their sum', () => {
+  const { puzzle, solution, rules } = generatePuzzle('easy', 42, 'killer');
+  const board = new SudokuBoard(puzzle, solution, rules);
+  assert.equal(board.cageConflicts().size, 0);
+  const cage = rules.cages.find(({ cells }) => cells.length > 1 && cells.every(([r, c]) => !puzzle[r][c]));
+  const [[r1, c1], [r2, c2]] = cage.cells;
+  board.grid[r1][c1] = 1;
+  board.grid[r2][c2] = 1;
+  assert.ok(board.cageConflicts().has(`${r1},${c1}`));
+  cage.cells.forEach(([r, c]) => {
+    board.grid[r][c] = solution[r][c];
+  });
+  assert.equal(board.cageConflicts().size, 0);
+  const [r, c] = cage.cells[0];
+  board.grid[r][c] = solution[r][c] === 9 ? 8 : solution[r][c] + 1;
+  assert.ok(board.cageConflicts().has(`${r},${c}`));
+});
+
+test('candidates keep only the digits a cage sum allows', () => {
+  const grid = Array.from({ length: 9 }, () => Array(9).fill(0));
+  const rules = { cages: [{ sum: 3, cells: [[0, 0], [0, 1]] }] };
+  const candidates = createCandidates(grid, rules);
+  assert.deepEqual([...candidates[0][0]], [1, 2]);
+  assert.deepEqual([...candidates[0][1]], [1, 2]);
+  // By the 45 rule the rest of the row then holds 3 to 9.
+  assert.deepEqual([...candidates[0][8]], [3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(candidates[8][8].size, 9);
+});
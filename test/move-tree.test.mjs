@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { MoveTree, timelineSvg } from '../sudoku/move-tree.js';
+
+// Plays the named moves from the current node and returns their node ids.
+function play(tree, ...names) {
+  return names.map((name) => tree.add(name).id);
+}
+
+test('undo and redo walk one line of moves', () => {
+  const tree = new MoveTree();
+  assert.equal(tree.canUndo(), false);
+  assert.equal(tree.undo(), null);
+  play(tree, 'a', 'b');
+  assert.equal(tree.undo(), 'b');
+  assert.equal(tree.undo(), 'a');
+  assert.equal(tree.canUndo(), false);
+  assert.equal(tree.redo(), 'a');
+  assert.equal(tree.redo(), 'b');
+  assert.equal(tree.canRedo(), false);
+  assert.equal(tree.redo(), null);
+});
+
+test('playing after an undo opens a branch and keeps the old line', () => {
+  const tree = new MoveTree();
+  const [a, b] = play(tree, 'a', 'b');
+  tree.undo();
+  const [c] = play(tree, 'c');
+  assert.deepEqual(tree.lineTo(c), [0, a, c]);
+  assert.deepEqual(tree.lineTo(b), [0, a, b]);
+  // Redo follows the branch most recently left or played.
+  tree.undo();
+  assert.equal(tree.redo(), 'c');
+});
+
+test('jump reverts to where two lines part, then replays the other', () => {
+  const tree = new MoveTree();
+  const [, b, d] = play(tree, 'a', 'b', 'd');
+  tree.jump(b);
+  const [c] = play(tree, 'c');
+  assert.deepEqual(tree.jump(d), { undo: ['c'], redo: ['d'] });
+  assert.equal(tree.current, d);
+  assert.deepEqual(tree.jump(0), { undo: ['d', 'b', 'a'], redo: [] });
+  assert.deepEqual(tree.jump(c), { undo: [], redo: ['a', 'b', 'c'] });
+  assert.deepEqual(tree.jump(99), { undo: [], redo: [] });
+  assert.equal(tree.current, c);
+});
+
+test('checkpoints list labelled nodes, newest first', () => {
+  const tree = new MoveTree();
+  const [a, , c] = play(tree, 'a', 'b', 'c');
+  tree.setLabel(a, 'Before the pair');
+  tree.setLabel(c, 'Guess');
+  assert.deepEqual(tree.checkpoints(), [
+    { id: c, label: 'Guess', depth: 3 },
+    { id: a, label: 'Before the pair', depth: 1 }
+  ]);
+  tree.setLabel(c, '');
+  assert.equal(tree.checkpoints().length, 1);
+});
+
+test('layout gives each later branch its own lane', () => {
+  const tree = new MoveTree();
+  const [a, b] = play(tree, 'a', 'b');
+  tree.jump(a);
+  const [c] = play(tree, 'c');
+  tree.jump(0);
+  const [d] = play(tree, 'd');
+  const lanes = Object.fromEntries(tree.layout().map(({ id, depth, lane }) => [id, [depth, lane]]));
+  assert.deepEqual(lanes, { 0: [0, 0], [a]: [1, 0], [b]: [2, 0], [c]: [2, 1], [d]: [1, 2] });
+  const svg = timelineSvg(tree);
+  assert.equal((svg.match(/<circle /g) || []).length, 5);
+  assert.match(svg, new RegExp(`class="timeline-dot current" data-node="${d}"`));
+});
+
+test('toJSON round-trips through the constructor', () => {
+  const tree = new MoveTree();
+  const [a] = play(tree, { changes: [[0, [0], [5]]] }, 'b');
+  tree.setLabel(a, 'Here');
+  tree.undo();
+  const copy = new MoveTree(JSON.parse(JSON.stringify(tree)));
+  assert.deepEqual(copy.toJSON(), tree.toJSON());
+  assert.equal(copy.redo(), 'b');
+  assert.deepEqual(new MoveTree({ nodes: [], current: 4 }).toJSON(), new MoveTree().toJSON());
+});
+
+test('fromStacks turns undo and redo stacks into one line', () => {
+  const tree = MoveTree.fromStacks(['a', 'b'], ['d', 'c']);
+  assert.equal(tree.lineTo(tree.current).length, 3);
+  assert.equal(tree.redo(), 'c');
+  assert.equal(tree.redo(), 'd');
+  assert.equal(tree.canRedo(), false);
+  assert.deepEqual(tree.jump(0).undo, ['d', 'c', 'b', 'a']);
+  assert.equal(MoveTree.fromStacks().canUndo(), false);
+});
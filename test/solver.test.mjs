@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createCandidates, findLogicalStep, solveBoard, solveLogically } from '../sudoku/solver.js';
+
+// Needs pairs, pointing and an XY-Wing on top of the singles.
+const EXPERT = [
+  [0, 0, 0, 0, 4, 8, 5, 0, 0],
+  [0, 0, 0, 0, 0, 0, 0, 0, 3],
+  [0, 2, 5, 0, 1, 0, 0, 9, 0],
+  [0, 0, 2, 0, 0, 0, 8, 0, 4],
+  [0, 0, 9, 0, 8, 5, 0, 2, 0],
+  [0, 0, 0, 2, 0, 0, 7, 6, 0],
+  [0, 0, 7, 0, 0, 0, 0, 0, 0],
+  [3, 0, 0, 0, 2, 0, 0, 0, 0],
+  [0, 0, 0, 7, 0, 0, 6, 1, 0]
+];
+
+const ALL = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+// An empty grid with every digit open everywhere, narrowed by `open`:
+// a map from "row,col" to the digits that cell keeps.
+function candidateGrid(open = {}) {
+  const grid = Array.from({ length: 9 }, () => Array(9).fill(0));
+  const candidates = grid.map((row, r) => row.map((_, c) => new Set(open[`${r},${c}`] || ALL)));
+  return { grid, candidates };
+}
+
+function without(digit) {
+  return ALL.filter((d) => d !== digit);
+}
+
+test('finds a naked single', () => {
+  const { grid, candidates } = candidateGrid({ '4,4': [5] });
+  const step = findLogicalStep(grid, candidates);
+  assert.equal(step.technique, 'naked-single');
+  assert.deepEqual(step.placements, [{ row: 4, col: 4, value: 5 }]);
+});
+
+test('finds a hidden single', () => {
+  const open = {};
+  for (let c = 0; c < 9; c++) if (c !== 3) open[`0,${c}`] = without(7);
+  const { grid, candidates } = candidateGrid(open);
+  const step = findLogicalStep(grid, candidates);
+  assert.equal(step.technique, 'hidden-single');
+  assert.deepEqual(step.placements, [{ row: 0, col: 3, value: 7 }]);
+});
+
+test('finds a naked pair and clears its digits from the house', () => {
+  const { grid, candidates } = candidateGrid({ '0,0': [1, 2], '0,1': [1, 2] });
+  const step = findLogicalStep(grid, candidates);
+  assert.equal(step.technique, 'naked-pair');
+  assert.ok(step.eliminations.length);
+  step.eliminations.forEach(({ row, col, value }) => {
+    assert.ok([1, 2].includes(value));
+    assert.ok(!(row === 0 && col < 2));
+  });
+});
+
+test('finds a pointing pair', () => {
+  const open = {};
+  for (let r = 1; r < 3; r++) for (let c = 0; c < 3; c++) open[`${r},${c}`] = without(4);
+  const { grid, candidates } = candidateGrid(open);
+  const step = findLogicalStep(grid, candidates);
+  assert.equal(step.technique, 'pointing-pair');
+  assert.deepEqual(
+    step.eliminations.map(({ row, col, value }) => [row, col, value]).sort(),
+    [3, 4, 5, 6, 7, 8].map((col) => [0, col, 4]).sort()
+  );
+});
+
+test('finds an X-Wing', () => {
+  const open = {};
+  [0, 4].forEach((r) => {
+    for (let c = 0; c < 9; c++) if (c !== 1 && c !== 7) open[`${r},${c}`] = without(6);
+  });
+  const { grid, candidates } = candidateGrid(open);
+  const step = findLogicalStep(grid, candidates);
+  assert.equal(step.technique, 'x-wing');
+  assert.equal(step.eliminations.length, 14);
+  step.eliminations.forEach(({ row, col, value }) => {
+    assert.equal(value, 6);
+    assert.ok([1, 7].includes(col));
+    assert.ok(row !== 0 && row !== 4);
+  });
+});
+
+test('restricts the search to the techniques asked for', () => {
+  const { grid, candidates } = candidateGrid({ '4,4': [5], '0,0': [1, 2], '0,1': [1, 2] });
+  assert.equal(findLogicalStep(grid, candidates, { techniques: ['naked-pair'] }).technique, 'naked-pair');
+});
+
+test('solves a hard puzzle step by step without an unsound step', () => {
+  const solution = EXPERT.map((row) => [...row]);
+  solveBoard(solution);
+  const { solved, grid, steps } = solveLogically(EXPERT);
+  assert.ok(solved);
+  assert.deepEqual(grid, solution);
+  steps.forEach((step) => {
+    step.placements.forEach(({ row, col, value }) => assert.equal(value, solution[row][col]));
+    step.eliminations.forEach(({ row, col, value }) => assert.notEqual(value, solution[row][col]));
+  });
+  const used = new Set(steps.map((step) => step.technique));
+  ['naked-single', 'hidden-single', 'xy-wing'].forEach((id) => assert.ok(used.has(id), id));
+  assert.deepEqual(EXPERT[0], [0, 0, 0, 0, 4, 8, 5, 0, 0]);
+});
+
+test('createCandidates leaves filled cells empty and drops digits their peers use', () => {
+  const candidates = createCandidates(EXPERT);
+  assert.equal(candidates[0][4].size, 0);
+  assert.ok(!candidates[0][0].has(4));
+  assert.ok(!candidates[0][0].has(3));
+});